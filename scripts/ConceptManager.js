@@ -44,105 +44,2306 @@ class ConceptManager {
         console.log("ConceptManager class loaded and ready 💡");
         
         // Cache maps to store previously retrieved concepts and relations
+        // conceptCache: per-vault page list and field => value => pages indexes
+        // relationsCache: per-vault path lookups from getFilesInSamePath()
         this.conceptCache = new Map();
         this.relationsCache = new Map();
+        this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+        this.cacheEventRefs = null;
+        
+        // Content index for content similarity: term counts per note, document frequencies
+        // and term => notes postings, updated incrementally from vault events
+        this.contentIndex = { docs: new Map(), documentFrequency: new Map(), postings: new Map() };
+        this.contentIndexing = null;
+        this.contentEventRefs = null;
+        
+        // Relation schema: field roles, aliases, comparators, weights and default criteria,
+        // read from a vault note's frontmatter or a JSON file (see loadSchema())
+        this.schemaPath = "ConceptManager Schema.md";
+        this.schema = null;
+        this.defaultSchema = null;
+        this.schemaLoading = null;
+        this.schemaLoadingPath = null;
+        this.schemaSource = null;
+        this.schemaEventRefs = null;
+        
+        // Normalization indexes: note names and aliases => paths, paths => names, folded values => text
+        this.nameIndex = null;
+        this.pageNames = null;
+        this.valueLabels = null;
+        
+        // Page source of the cached data: "dataview", or the id of a memory source (see useSource())
+        this.sourceId = null;
+        this.memorySourceCount = 0;
         
         // Initialize any properties here
         this.debug = false;
     }
 
-    /*
-     * Use this as a test to ensure the class is working and the methods are exposed
+    /*
+     * Use this as a test to ensure the class is working and the methods are exposed
+     * 
+     * @returns {string} "Hello, World!"
+     */
+    helloWorld() {
+        return "Hello, World!";
+    }
+
+    /**
+     * Reads a field from a page. Dotted names reach nested fields such as "file.tags",
+     * and DataView arrays are returned as plain arrays. Aliases declared in the schema are
+     * read too: with "unit" an alias of "units", both fields' values are returned.
+     * 
+     * @param {Object} page - A DataView page
+     * @param {string} field - Field name, e.g. "subject" or "file.etags"
+     * @returns {*} The field value, or undefined
+     */
+    getFieldValue(page, field) {
+        const names = this.getFieldNames(field);
+        if (names.length === 1) return this.readField(page, names[0]);
+        
+        const values = names.map(name => this.readField(page, name)).filter(v => v !== undefined && v !== null);
+        if (values.length <= 1) return values[0];
+        return values.flatMap(v => Array.isArray(v) ? v : [v]);
+    }
+
+    /**
+     * Reads a single field from a page, without resolving aliases
+     * 
+     * @param {Object} page - A DataView page
+     * @param {string} field - Field name, e.g. "subject" or "file.etags"
+     * @returns {*} The field value, or undefined
+     */
+    readField(page, field) {
+        const value = field.includes('.') ? 
+            field.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), page) : 
+            page[field];
+        if (value && !Array.isArray(value) && typeof value.array === 'function') {
+            return value.array();
+        }
+        return value;
+    }
+
+    /**
+     * Reads a field from a page as an array of defined values, normalized for matching
+     * (see normalizeFieldValue()): links and note names become file paths, text is trimmed,
+     * case-folded and mapped through the schema's synonyms.
+     * 
+     * @param {Object} page - A DataView page
+     * @param {string} field - Field name, e.g. "subject" or "file.etags"
+     * @returns {Array} The field values (empty if the field is not set)
+     */
+    getFieldValues(page, field) {
+        const value = this.getFieldValue(page, field);
+        const sourcePath = page.file ? page.file.path : "";
+        return (Array.isArray(value) ? value : [value])
+            .filter(v => v !== undefined && v !== null)
+            .map(v => this.normalizeFieldValue(v, sourcePath, field));
+    }
+
+    /**
+     * Returns the link target written in a link, without subpath or display text
+     * 
+     * @param {*} value - A DataView Link, a "[[target|display]]" string, or any other value
+     * @param {string} sourcePath - Path of the note holding the link, used for "[[#heading]]" links
+     * @returns {string|null} The link target, or null if the value is not a link
+     */
+    getLinkpath(value, sourcePath = "") {
+        if (value && typeof value === 'object' && typeof value.path === 'string' && typeof value.type === 'string') {
+            return value.path;
+        }
+        if (typeof value === 'string') {
+            const match = value.trim().match(/^!?\[\[([^\]|#]*)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\]$/);
+            if (match) return match[1].trim() || sourcePath;
+        }
+        return null;
+    }
+
+    /**
+     * Returns the file path a link points to
+     * 
+     * @param {*} value - A DataView Link, a "[[target|display]]" string, or any other value
+     * @param {string} sourcePath - Path of the note holding the link, to resolve relative links
+     * @returns {string|null} The target's file path, or null if the value is not a link
+     */
+    resolveLinkPath(value, sourcePath = "") {
+        const linkpath = this.getLinkpath(value, sourcePath);
+        if (linkpath === null) return null;
+        
+        if (typeof app !== 'undefined' && app.metadataCache) {
+            const file = app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+            if (file) return file.path;
+        }
+        if (this.pageNames && this.pageNames.has(linkpath)) return linkpath;
+        
+        // Already a full path only with a file type Obsidian opens: [[Version 2.0]] and [[Node.js]] are note names
+        if (/\.(md|canvas|base|pdf|png|jpe?g|gif|bmp|svg|webp|avif|mp3|wav|m4a|ogg|3gp|flac|webm|mp4|ogv|mov|mkv)$/i.test(linkpath)) {
+            return linkpath;
+        }
+        return `${linkpath}.md`;
+    }
+
+    /**
+     * Normalizes a field value for matching, following the schema's normalization settings:
+     * 1. unwrapLinks: links to existing notes become their file path; links to missing notes
+     *    become their target's name
+     * 2. trim: surrounding whitespace is removed and inner whitespace collapsed
+     * 3. caseFold: text is lowercased
+     * 4. synonyms: the field's synonyms, then the schema-wide synonyms, replace the text
+     * 5. resolveAliases: text naming a note by its file name or one of its aliases becomes its file path
+     * "AI Agent Lens", " ai agent lens" and [[AI Agent Lens]] thus all normalize to the same value.
+     * Values other than text and links are returned unchanged.
+     * 
+     * @param {*} value - A field value
+     * @param {string} sourcePath - Path of the note holding the value
+     * @param {string} field - Field holding the value, for field synonyms
+     * @returns {*} The normalized value
+     */
+    normalizeFieldValue(value, sourcePath = "", field = null) {
+        const schema = this.schema || this.getDefaultSchema();
+        const settings = schema.normalization;
+        
+        if (settings.unwrapLinks) {
+            const linkpath = this.getLinkpath(value, sourcePath);
+            if (linkpath !== null) {
+                const path = this.resolveLinkPath(value, sourcePath);
+                if (!this.pageNames || this.pageNames.has(path)) return path;
+                value = linkpath.split('/').pop().replace(/\.md$/, '');
+            }
+        }
+        if (typeof value !== 'string') return value;
+        
+        const fold = text => {
+            const trimmed = settings.trim ? text.trim().replace(/\s+/g, ' ') : text;
+            return settings.caseFold ? trimmed.toLowerCase() : trimmed;
+        };
+        let key = fold(value);
+        
+        const fieldSettings = field ? schema.fields[schema.aliases.get(field) || field] : null;
+        const synonym = (fieldSettings && fieldSettings.synonyms && fieldSettings.synonyms.get(key)) || schema.synonyms.get(key);
+        if (synonym !== undefined) {
+            value = synonym;
+            key = fold(synonym);
+        }
+        
+        if (settings.resolveAliases && this.nameIndex && this.nameIndex.get(key)) {
+            return this.nameIndex.get(key);
+        }
+        
+        // Remember how the value was written, for display
+        if (this.valueLabels && !this.valueLabels.has(key)) {
+            this.valueLabels.set(key, settings.trim ? value.trim().replace(/\s+/g, ' ') : value);
+        }
+        return key;
+    }
+
+    /**
+     * Formats a normalized value for display: note paths show the note's name,
+     * case-folded text shows the value as first written
+     * 
+     * @param {*} value - A value from normalizeFieldValue()
+     * @returns {string} The display text
+     */
+    formatValue(value) {
+        if (this.pageNames && this.pageNames.has(value)) return this.pageNames.get(value);
+        if (this.valueLabels && this.valueLabels.has(value)) return this.valueLabels.get(value);
+        return String(value);
+    }
+
+    /**
+     * Builds the indexes used to resolve note names and aliases during normalization:
+     * folded name or alias => file path (null when several notes share it), and file path => name
+     * 
+     * @param {Object} dv - DataView API object
+     */
+    buildNameIndex(dv) {
+        // Set first: getPages() asks for the schema, which asks for this index
+        this.nameIndex = new Map();
+        this.pageNames = new Map();
+        this.valueLabels = new Map();
+        
+        const settings = (this.schema || this.getDefaultSchema()).normalization;
+        const fold = text => {
+            const trimmed = settings.trim ? String(text).trim().replace(/\s+/g, ' ') : String(text);
+            return settings.caseFold ? trimmed.toLowerCase() : trimmed;
+        };
+        
+        this.getPages(dv).forEach(p => {
+            this.pageNames.set(p.file.path, p.file.name);
+            const aliases = this.readField(p, "file.aliases") || this.readField(p, "aliases") || [];
+            [p.file.name, ...(Array.isArray(aliases) ? aliases : [aliases])]
+                .filter(name => typeof name === 'string' && name)
+                .forEach(name => {
+                    const key = fold(name);
+                    const existing = this.nameIndex.get(key);
+                    this.nameIndex.set(key, existing === undefined || existing === p.file.path ? p.file.path : null);
+                });
+        });
+    }
+
+    /**
+     * Compares a target value with a page value and returns the credit earned, between 0 and 1
+     * 
+     * Match modes:
+     * - "exact": 1 if the values are equal, 0 otherwise
+     * - "hierarchical": for slash-delimited values such as nested tags, the share of the target's
+     *   levels found in the page value's common prefix. "trading/technical/rsi" earns 2/3 against
+     *   "trading/technical/macd" and 1 against "trading/technical/rsi/settings". Leading "#" is ignored.
+     * - "numeric": numbers within tolerance of each other earn 1 - distance / (tolerance + 1).
+     *   With tolerance 2, level 3 earns 2/3 against level 2, 1/3 against level 5, 0 against level 7.
+     * - "ordinal": like "numeric", on the positions of the values in the order list,
+     *   e.g. ["beginner", "intermediate", "advanced"]
+     * - "date": like "numeric", on the number of days between two dates
+     * - A function (targetValue, pageValue) => 0-1 for any other comparison
+     * 
+     * @param {*} targetValue - The value searched for
+     * @param {*} pageValue - The value held by the page
+     * @param {Object} [options={}] - Match options
+     * @param {string|Function} [options.match="exact"] - Match mode, or a custom comparator
+     * @param {string} [options.separator="/"] - Level separator for hierarchical matching
+     * @param {number} [options.tolerance] - Largest distance earning credit (default: 1, or 30 days for dates)
+     * @param {Array} [options.order=[]] - Ordered values for ordinal matching, lowest first
+     * @returns {number} Credit between 0 and 1
+     */
+    compareValues(targetValue, pageValue, { match = "exact", separator = "/", tolerance, order = [] } = {}) {
+        if (typeof match === 'function') {
+            return Math.min(Math.max(Number(match(targetValue, pageValue)) || 0, 0), 1);
+        }
+        
+        if (targetValue === pageValue) return 1;
+        
+        // Graded modes: credit decays linearly with distance, down to 0 beyond the tolerance
+        const gradedCredit = (distance, defaultTolerance) => {
+            const maxDistance = tolerance !== undefined ? tolerance : defaultTolerance;
+            if (isNaN(distance) || distance > maxDistance) return 0;
+            return 1 - distance / (maxDistance + 1);
+        };
+        
+        if (match === "numeric") {
+            if (targetValue === "" || pageValue === "" || typeof targetValue === 'boolean' || typeof pageValue === 'boolean') return 0;
+            return gradedCredit(Math.abs(Number(targetValue) - Number(pageValue)), 1);
+        }
+        
+        if (match === "ordinal") {
+            const targetRank = order.indexOf(targetValue);
+            const pageRank = order.indexOf(pageValue);
+            if (targetRank === -1 || pageRank === -1) return 0;
+            return gradedCredit(Math.abs(targetRank - pageRank), 1);
+        }
+        
+        if (match === "date") {
+            const targetTime = this.toTimestamp(targetValue);
+            const pageTime = this.toTimestamp(pageValue);
+            if (targetTime === null || pageTime === null) return 0;
+            return gradedCredit(Math.abs(targetTime - pageTime) / 864e5, 30);
+        }
+        
+        if (match === "hierarchical") {
+            if (typeof targetValue !== 'string' || typeof pageValue !== 'string') return 0;
+            const levels = value => value.replace(/^#/, '').split(separator).filter(Boolean);
+            const targetLevels = levels(targetValue);
+            const pageLevels = levels(pageValue);
+            
+            let sharedDepth = 0;
+            while (sharedDepth < targetLevels.length && sharedDepth < pageLevels.length && 
+                targetLevels[sharedDepth] === pageLevels[sharedDepth]) {
+                sharedDepth++;
+            }
+            return targetLevels.length > 0 ? sharedDepth / targetLevels.length : 0;
+        }
+        
+        return 0;
+    }
+
+    /**
+     * Converts DataView (Luxon) dates, JS dates and date strings to timestamps
+     * 
+     * @param {*} value - A date value
+     * @returns {number|null} Milliseconds since the epoch, or null if the value is not a date
+     */
+    toTimestamp(value) {
+        if (!value) return null;
+        if (typeof value.toMillis === 'function') return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Returns the key of a cache entry for the current vault, so that several vaults
+     * open in the same app never share cached pages.
+     * 
+     * @param {string} key - The cache entry key
+     * @returns {string} The vault-scoped cache key
+     */
+    getCacheKey(key) {
+        const vaultName = typeof app !== 'undefined' && app.vault ? app.vault.getName() : "default";
+        return `${vaultName}::${key}`;
+    }
+
+    /**
+     * Registers the metadata and vault listeners that invalidate the caches when notes change.
+     * Runs once per ConceptManager instance; does nothing outside Obsidian.
+     * Released by unload().
+     */
+    registerCacheInvalidation() {
+        if (this.cacheEventRefs || typeof app === 'undefined' || !app.metadataCache) return;
+        this.unloadPreviousInstance();
+        
+        const invalidate = () => this.clearCache();
+        this.cacheEventRefs = [
+            // Dataview re-indexes a page after its metadata changes
+            this.listen(app.metadataCache, "dataview:metadata-change", invalidate),
+            this.listen(app.metadataCache, "dataview:index-ready", invalidate),
+            this.listen(app.vault, "delete", invalidate),
+            this.listen(app.vault, "rename", invalidate)
+        ];
+    }
+
+    /**
+     * Subscribes to a metadataCache or vault event and keeps the emitter with the ref,
+     * so unload() knows which offref() to call
+     * 
+     * @param {Object} emitter - app.metadataCache or app.vault
+     * @param {string} name - Event name
+     * @param {Function} callback - Event handler
+     * @returns {Object} { emitter, ref }
+     */
+    listen(emitter, name, callback) {
+        return { emitter, ref: emitter.on(name, callback) };
+    }
+
+    /**
+     * Releases every metadataCache and vault listener registered by this instance:
+     * cache invalidation, content index and schema reload.
+     * They are registered again on the next call that needs them.
+     * 
+     * @example
+     * ConceptManager.unload();
+     */
+    unload() {
+        ["cacheEventRefs", "contentEventRefs", "schemaEventRefs"].forEach(key => {
+            (this[key] || []).forEach(({ emitter, ref }) => emitter.offref(ref));
+            this[key] = null;
+        });
+    }
+
+    /**
+     * CustomJS creates a new instance each time the script is reloaded; the instance that
+     * registered listeners before this one is unloaded so its handlers do not pile up.
+     */
+    unloadPreviousInstance() {
+        const previous = globalThis.conceptManagerInstance;
+        if (previous && previous !== this && typeof previous.unload === 'function') {
+            previous.unload();
+        }
+        globalThis.conceptManagerInstance = this;
+    }
+
+    /**
+     * Clears all cached pages, field indexes and path lookups.
+     * Called automatically on Dataview/vault change events; call it manually to force a re-scan.
+     * 
+     * @example
+     * ConceptManager.clearCache();
+     */
+    clearCache() {
+        this.conceptCache.clear();
+        this.relationsCache.clear();
+        this.cacheStats.invalidations++;
+        // A schema note is re-read with the notes; a JSON schema has its own listeners
+        if (this.schema && !/\.json$/i.test(this.schemaPath || '')) {
+            this.schema = null;
+        }
+        this.nameIndex = null;
+        this.pageNames = null;
+        this.valueLabels = null;
+    }
+
+    /**
+     * Returns the cache hit/miss counters and the number of cached entries
+     * 
+     * @returns {Object} { hits, misses, invalidations, conceptEntries, relationEntries }
+     */
+    getCacheStats() {
+        return {
+            ...this.cacheStats,
+            conceptEntries: this.conceptCache.size,
+            relationEntries: this.relationsCache.size
+        };
+    }
+
+    /**
+     * Returns the built-in schema, used when no schema file exists
+     * 
+     * @returns {Object} The normalized default schema
+     */
+    getDefaultSchema() {
+        if (!this.defaultSchema) {
+            this.defaultSchema = this.normalizeSchema({}, { source: "default" });
+        }
+        return this.defaultSchema;
+    }
+
+    /**
+     * Normalizes a raw schema (note frontmatter or parsed JSON), filling in the default roles
+     * and indexing the field aliases.
+     * 
+     * Schema format:
+     * - roles: the fields playing each built-in role, e.g. { subject: "topic", type: "kind" }
+     *   (roles: subject, domain, type, level, status; each defaults to its own name)
+     * - fields: per-field settings { aliases, match, weight, tolerance, order, separator, mode },
+     *   applied whenever the field appears in matchCriteria
+     * - defaultCriteria: matchCriteria used when none are given
+     * - types: per-type settings, e.g. { concept: { criteria: {...}, requiredFields: ["subject", "level"] } },
+     *   keyed by the type role's value; requiredFields are checked by generateHealthReport()
+     * - normalization: { caseFold, trim, unwrapLinks, resolveAliases }, all true by default
+     *   (see normalizeFieldValue())
+     * - synonyms: text => canonical text for every field, e.g. { "ML": "Machine Learning" };
+     *   fields can hold their own synonyms too
+     * - relations: typed relations held in link fields, e.g. { parent: { inverse: "child", label: "Parent", weight: 1 } },
+     *   added to the defaults parent/child, precedes/follows, related and contradicts. Inverse
+     *   relations get an entry of their own when the schema leaves them out.
+     * 
+     * @param {Object} raw - The schema as written in the vault
+     * @param {Object} options - { source: "note", "json" or "default", path }
+     * @returns {Object} { roles, fields, aliases, defaultCriteria, types, relations, normalization, synonyms, source, path }
+     */
+    normalizeSchema(raw, { source = "default", path = null } = {}) {
+        const roles = { subject: "subject", domain: "domain", type: "type", level: "level", status: "status" };
+        Object.entries((raw && raw.roles) || {}).forEach(([role, field]) => {
+            if (typeof field === 'string' && field) roles[role] = field;
+        });
+        
+        const normalization = { caseFold: true, trim: true, unwrapLinks: true, resolveAliases: true };
+        Object.entries((raw && raw.normalization) || {}).forEach(([option, enabled]) => {
+            if (option in normalization) normalization[option] = Boolean(enabled);
+        });
+        // Synonym keys are matched after trimming and case folding
+        const toSynonyms = map => {
+            const synonyms = new Map();
+            Object.entries(map && typeof map === 'object' ? map : {}).forEach(([from, to]) => {
+                const trimmed = normalization.trim ? from.trim().replace(/\s+/g, ' ') : from;
+                if (typeof to === 'string') synonyms.set(normalization.caseFold ? trimmed.toLowerCase() : trimmed, to);
+            });
+            return synonyms;
+        };
+        
+        const fields = {};
+        const aliases = new Map();
+        Object.entries((raw && raw.fields) || {}).forEach(([field, spec]) => {
+            const settings = spec && typeof spec === 'object' ? { ...spec } : {};
+            settings.aliases = (Array.isArray(settings.aliases) ? settings.aliases : [settings.aliases])
+                .filter(alias => typeof alias === 'string' && alias && alias !== field);
+            settings.aliases.forEach(alias => aliases.set(alias, field));
+            settings.synonyms = toSynonyms(settings.synonyms);
+            fields[field] = settings;
+        });
+        
+        const relations = {
+            parent: { inverse: "child", label: "Parent" },
+            child: { inverse: "parent", label: "Children" },
+            precedes: { inverse: "follows", label: "Precedes" },
+            follows: { inverse: "precedes", label: "Follows" },
+            related: { inverse: "related", label: "Related" },
+            contradicts: { inverse: "contradicts", label: "Contradicts" }
+        };
+        Object.entries((raw && raw.relations) || {}).forEach(([type, spec]) => {
+            relations[type] = { ...(relations[type] || {}), ...(spec && typeof spec === 'object' ? spec : {}) };
+        });
+        Object.entries(relations).forEach(([type, spec]) => {
+            if (!spec.label) spec.label = type.charAt(0).toUpperCase() + type.slice(1);
+            if (spec.inverse && !relations[spec.inverse]) {
+                const label = spec.inverse.charAt(0).toUpperCase() + spec.inverse.slice(1);
+                relations[spec.inverse] = { inverse: type, label };
+            }
+        });
+        
+        return {
+            roles,
+            fields,
+            aliases,
+            defaultCriteria: (raw && raw.defaultCriteria) || null,
+            types: (raw && raw.types) || {},
+            relations,
+            normalization,
+            synonyms: toSynonyms(raw && raw.synonyms),
+            source,
+            path
+        };
+    }
+
+    /**
+     * Returns the active schema. A schema note is read synchronously from its frontmatter
+     * and re-read after notes change; a JSON schema is read asynchronously with loadSchema()
+     * and reloaded when the file changes. Until a JSON schema is loaded, this starts the load
+     * and answers with the built-in defaults: await loadSchema() first to avoid that
+     * (the wrappers and getRelatedConcepts() do it for you).
+     * 
+     * @param {Object} dv - DataView API object
+     * @returns {Object} The normalized schema (see normalizeSchema())
+     */
+    getSchema(dv) {
+        this.useSource(dv);
+        let schema = this.schema;
+        if (!schema) {
+            const path = this.schemaPath;
+            if (!path) {
+                schema = this.schema = this.getDefaultSchema();
+            } else if (/\.json$/i.test(path)) {
+                // Not kept as the active schema, so isSchemaReady() stays false until the file is read
+                this.loadSchema({ dv, path });
+                schema = this.getDefaultSchema();
+            } else {
+                const page = dv.page(path);
+                schema = this.schema = page ? 
+                    this.normalizeSchema(page.file.frontmatter || {}, { source: "note", path }) : 
+                    this.getDefaultSchema();
+            }
+        }
+        
+        if (!this.nameIndex) {
+            this.buildNameIndex(dv);
+        }
+        return schema;
+    }
+
+    /**
+     * Tells whether getSchema() can answer right away: true unless the schema is a JSON file
+     * that has not been loaded yet
+     * 
+     * @returns {boolean} Whether the schema is ready
+     */
+    isSchemaReady() {
+        return Boolean(this.schema) || !/\.json$/i.test(this.schemaPath || '');
+    }
+
+    /**
+     * Loads the schema from a vault note (its frontmatter) or a JSON file, replacing the active one.
+     * Missing or unreadable files fall back to the built-in defaults. Loading another path while
+     * a load runs supersedes it: both calls resolve to the schema of the latest path.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {string} params.path - Vault path of the schema note or JSON file (default: schemaPath)
+     * @returns {Promise<Object>} The normalized schema
+     * 
+     * @example
+     * await ConceptManager.loadSchema({ dv, path: "Settings/concept-schema.json" });
+     */
+    loadSchema({ dv, path = this.schemaPath }) {
+        if (this.schemaLoading && this.schemaLoadingPath === path) return this.schemaLoading;
+        this.schemaPath = path;
+        this.schemaLoadingPath = path;
+        // Kept to reload a JSON schema when its file changes
+        this.schemaSource = dv;
+        this.registerSchemaListeners();
+        
+        const loading = (async () => {
+            if (!path) return this.getDefaultSchema();
+            if (!/\.json$/i.test(path)) {
+                const page = dv.page(path);
+                return page ? this.normalizeSchema(page.file.frontmatter || {}, { source: "note", path }) : this.getDefaultSchema();
+            }
+            const exists = typeof app !== 'undefined' && app.vault ? await app.vault.adapter.exists(path) : true;
+            return exists ? 
+                this.normalizeSchema(JSON.parse(await this.readContent(dv, path)), { source: "json", path }) : 
+                this.getDefaultSchema();
+        })().catch(error => {
+            console.warn(`ConceptManager: could not load schema ${path}`, error);
+            return this.getDefaultSchema();
+        }).then(schema => {
+            // A load of another path started meanwhile: its schema wins
+            if (this.schemaLoading !== loading) return this.schemaLoading || this.schema;
+            // Aliases change what the field indexes hold
+            this.clearCache();
+            this.schema = schema;
+            return schema;
+        }).finally(() => {
+            if (this.schemaLoading === loading) this.schemaLoading = null;
+        });
+        
+        this.schemaLoading = loading;
+        return loading;
+    }
+
+    /**
+     * Changes the schema file and discards the active schema; the next call re-reads it
+     * 
+     * @param {string} path - Vault path of the schema note or JSON file, or null for the defaults
+     * 
+     * @example
+     * ConceptManager.setSchemaPath("Settings/Concept Schema.md");
+     */
+    setSchemaPath(path) {
+        this.schemaPath = path;
+        this.schema = null;
+        this.clearCache();
+    }
+
+    /**
+     * Registers the vault listeners that reload a JSON schema when its file changes.
+     * Runs once per ConceptManager instance; does nothing outside Obsidian.
+     * Released by unload().
+     */
+    registerSchemaListeners() {
+        if (this.schemaEventRefs || typeof app === 'undefined' || !app.vault) return;
+        this.unloadPreviousInstance();
+        
+        // The previous schema stays active until the new one is read
+        const reload = file => {
+            if (file.path === this.schemaPath && /\.json$/i.test(file.path) && this.schemaSource) {
+                this.loadSchema({ dv: this.schemaSource, path: file.path });
+            }
+        };
+        this.schemaEventRefs = [
+            this.listen(app.vault, "modify", reload),
+            this.listen(app.vault, "create", reload),
+            this.listen(app.vault, "delete", reload)
+        ];
+    }
+
+    /**
+     * Returns the field playing a role in the active schema
+     * 
+     * @param {string} role - "subject", "domain", "type", "level" or "status"
+     * @returns {string} The field name (the role's own name unless the schema renames it)
+     */
+    getRoleField(role) {
+        return (this.schema || this.getDefaultSchema()).roles[role] || role;
+    }
+
+    /**
+     * Resolves an alias to its canonical field name in the active schema
+     * 
+     * @param {string} field - A field name or alias
+     * @returns {string} The canonical field name
+     */
+    resolveFieldName(field) {
+        return (this.schema || this.getDefaultSchema()).aliases.get(field) || field;
+    }
+
+    /**
+     * Returns a field's canonical name followed by its aliases
+     * 
+     * @param {string} field - A field name or alias
+     * @returns {Array<string>} The names to read the field from
+     */
+    getFieldNames(field) {
+        const schema = this.schema || this.getDefaultSchema();
+        const canonical = schema.aliases.get(field) || field;
+        const settings = schema.fields[canonical];
+        return settings && settings.aliases.length > 0 ? [canonical, ...settings.aliases] : [canonical];
+    }
+
+    /**
+     * Returns the default matchCriteria for a page: the criteria of its type in the schema,
+     * else the schema's defaultCriteria, else the given fallback, else
+     * { must: { subject, domain }, should: { type } } (role fields).
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Object} params.page - Page whose type selects the criteria (default: current page)
+     * @param {Object} params.fallback - Criteria used when the schema defines none
+     * @returns {Object} matchCriteria
+     */
+    getDefaultCriteria({ dv, page = null, fallback = null }) {
+        const schema = this.getSchema(dv);
+        const current = page || dv.current();
+        const typeSettings = this.getFieldValues(current, schema.roles.type)
+            .map(type => schema.types[type])
+            .find(settings => settings && settings.criteria);
+        if (typeSettings) return typeSettings.criteria;
+        if (schema.defaultCriteria) return schema.defaultCriteria;
+        if (fallback) return fallback;
+        return {
+            must: { [schema.roles.subject]: true, [schema.roles.domain]: true },
+            should: { [schema.roles.type]: true }
+        };
+    }
+
+    /**
+     * Creates a page source backed by DataView. Page sources provide the pages that scoreConcepts()
+     * and the other data methods read, with the same calls as DataView:
+     * current(), page(path), pages(), array(values), fileLink(path) and io.load(path).
+     * The DataView source has no rendering methods, so nothing is written to the note.
+     * 
+     * @param {Object} dv - DataView API object
+     * @returns {Object} Page source
+     * 
+     * @example
+     * const results = ConceptManager.scoreConcepts({ source: ConceptManager.createDataviewAdapter(dv) });
+     */
+    createDataviewAdapter(dv) {
+        return {
+            sourceId: "dataview",
+            current: () => dv.current(),
+            page: path => dv.page(path),
+            pages: () => dv.pages(),
+            array: values => dv.array(values),
+            fileLink: (path, embed, display) => dv.fileLink(path, embed, display),
+            io: dv.io
+        };
+    }
+
+    /**
+     * Creates a page source from plain records, for scoring pages outside Obsidian: scripts,
+     * fixture vaults and Node tests. Records become DataView-like pages with the frontmatter
+     * as fields and file.path, name, folder, link, outlinks, inlinks, tags, etags, aliases,
+     * frontmatter and mtime. Links can be paths or note names; inlinks are derived from them.
+     * 
+     * @param {Array<Object>} records - Pages as { path, frontmatter, links, content, mtime }
+     *   - path: vault path, e.g. "TA/RSI.md" (".md" is added when missing)
+     *   - frontmatter: field values (default: {}); "tags" and "aliases" fill file.tags and file.aliases
+     *   - links: outbound links, as paths or note names (default: [])
+     *   - content: note text, read by updateContentIndex() (default: "")
+     *   - mtime: modification date, as a Date, timestamp or date string (default: none)
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.current] - Path of the page returned by current() (default: the first record)
+     * @returns {Object} Page source; files written to it (see exportConceptGraph()) are kept in memory
+     * 
+     * @example
+     * const source = ConceptManager.createMemoryAdapter([
+     *   { path: "TA/RSI.md", frontmatter: { type: "concept", subject: "Trading" }, links: ["MACD"] },
+     *   { path: "TA/MACD.md", frontmatter: { type: "concept", subject: "Trading" } }
+     * ], { current: "TA/RSI.md" });
+     */
+    createMemoryAdapter(records, { current = null } = {}) {
+        const toArray = values => Object.assign(Array.from(values), {
+            where(predicate) { return toArray(this.filter(predicate)); },
+            array() { return Array.from(this); }
+        });
+        const fileLink = (path, embed = false, display) => ({
+            path, embed, display, type: "file",
+            toString() { return `${embed ? '!' : ''}[[${path}${display ? `|${display}` : ''}]]`; },
+            markdown() { return this.toString(); }
+        });
+        const toList = value => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+        
+        const pages = records.map(record => {
+            const path = /\.[^/]+$/.test(record.path) ? record.path : `${record.path}.md`;
+            const frontmatter = { ...(record.frontmatter || {}) };
+            // file.etags holds the tags as written, file.tags adds their parents (#a/b => #a, #a/b)
+            const etags = toList(frontmatter.tags).map(tag => `#${String(tag).replace(/^#/, '')}`);
+            const tags = Array.from(new Set(etags.flatMap(tag => tag.split('/').map((_, i, parts) => parts.slice(0, i + 1).join('/')))));
+            return {
+                ...frontmatter,
+                file: {
+                    path,
+                    name: path.split('/').pop().replace(/\.[^.]+$/, ''),
+                    folder: path.split('/').slice(0, -1).join('/'),
+                    ext: path.split('.').pop(),
+                    link: fileLink(path),
+                    outlinks: [],
+                    inlinks: [],
+                    tags,
+                    etags,
+                    aliases: toList(frontmatter.aliases),
+                    frontmatter,
+                    mtime: record.mtime !== undefined && record.mtime !== null ? new Date(record.mtime) : null
+                }
+            };
+        });
+        
+        const byPath = new Map(pages.map(p => [p.file.path, p]));
+        const find = ref => {
+            const path = String(ref).replace(/^\[\[|\]\]$/g, '').split('|')[0];
+            return byPath.get(path) || byPath.get(`${path}.md`) || 
+                pages.find(p => p.file.name === path.split('/').pop()) || null;
+        };
+        records.forEach((record, i) => {
+            toList(record.links).map(find).filter(Boolean).forEach(target => {
+                pages[i].file.outlinks.push(fileLink(target.file.path));
+                target.file.inlinks.push(fileLink(pages[i].file.path));
+            });
+        });
+        const contents = new Map(pages.map((p, i) => [p.file.path, records[i].content || ""]));
+        
+        this.memorySourceCount++;
+        return {
+            sourceId: `memory-${this.memorySourceCount}`,
+            current: () => (current ? find(current) : pages[0]) || null,
+            page: path => find(path) || undefined,
+            pages: () => toArray(pages),
+            array: toArray,
+            fileLink,
+            io: { 
+                load: async path => contents.has(path) ? contents.get(path) : null, 
+                write: async (path, text) => { contents.set(path, text); }
+            }
+        };
+    }
+
+    /**
+     * Clears the caches when pages come from another source than the previous call (DataView or
+     * a memory source), so two sources never share cached pages, names or note texts
+     * 
+     * @param {Object} dv - DataView API object or page source
+     */
+    useSource(dv) {
+        const sourceId = (dv && dv.sourceId) || "dataview";
+        if (this.sourceId && this.sourceId !== sourceId) {
+            this.clearCache();
+            this.contentIndex = { docs: new Map(), documentFrequency: new Map(), postings: new Map() };
+        }
+        this.sourceId = sourceId;
+    }
+
+    /**
+     * Returns all pages of the vault, scanning them with dv.pages() only once until the
+     * cache is invalidated.
+     * 
+     * @param {Object} dv - DataView API object
+     * @returns {DataArray} All pages of the vault
+     */
+    getPages(dv) {
+        this.registerCacheInvalidation();
+        this.getSchema(dv);
+        
+        const cacheKey = this.getCacheKey("pages");
+        if (this.conceptCache.has(cacheKey)) {
+            this.cacheStats.hits++;
+            return this.conceptCache.get(cacheKey);
+        }
+        
+        this.cacheStats.misses++;
+        const pages = dv.pages();
+        this.conceptCache.set(cacheKey, pages);
+        return pages;
+    }
+
+    /**
+     * Returns an index of all pages by file path
+     * 
+     * @param {Object} dv - DataView API object
+     * @returns {Map} Map of file path => page
+     */
+    getPageIndex(dv) {
+        const cacheKey = this.getCacheKey("paths");
+        if (this.conceptCache.has(cacheKey)) {
+            this.cacheStats.hits++;
+            return this.conceptCache.get(cacheKey);
+        }
+        
+        const pages = this.getPages(dv);
+        this.cacheStats.misses++;
+        
+        const index = new Map();
+        pages.forEach(p => index.set(p.file.path, p));
+        this.conceptCache.set(cacheKey, index);
+        return index;
+    }
+
+    /**
+     * Returns an index of a frontmatter field: a Map of each value found in the vault
+     * to the pages holding it. Array fields index every element.
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {string} field - The frontmatter field to index
+     * @returns {Map} Map of value => array of pages
+     */
+    getFieldIndex(dv, field) {
+        this.getSchema(dv);
+        field = this.resolveFieldName(field);
+        const cacheKey = this.getCacheKey(`field::${field}`);
+        if (this.conceptCache.has(cacheKey)) {
+            this.cacheStats.hits++;
+            return this.conceptCache.get(cacheKey);
+        }
+        
+        const pages = this.getPages(dv);
+        this.cacheStats.misses++;
+        
+        const index = new Map();
+        pages.forEach(p => {
+            this.getFieldValues(p, field).forEach(value => {
+                if (!index.has(value)) index.set(value, []);
+                const valuePages = index.get(value);
+                // A page listing the same value twice is indexed once
+                if (valuePages[valuePages.length - 1] !== p) valuePages.push(p);
+            });
+        });
+        
+        this.conceptCache.set(cacheKey, index);
+        return index;
+    }
+
+    /**
+     * Finds the pages whose field values match any of the target values, with the credit
+     * earned for each target value. Exact matches are looked up in the field index; other
+     * match modes compare each distinct indexed value once.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {string} params.field - The frontmatter field to match
+     * @param {Array} params.targetValues - The values to look for
+     * @param {Object} params.matchOptions - Options passed to compareValues() ({ match, separator })
+     * @returns {Map} Map of file path => { page, matches: [{ target, value, credit }] }, best credit per target
+     */
+    matchFieldValues({ dv, field, targetValues, matchOptions = {} }) {
+        const index = this.getFieldIndex(dv, field);
+        const results = new Map();
+        
+        const addMatch = (page, target, value, credit) => {
+            if (!results.has(page.file.path)) {
+                results.set(page.file.path, { page, matches: [] });
+            }
+            const matches = results.get(page.file.path).matches;
+            const existing = matches.find(m => m.target === target);
+            if (!existing) {
+                matches.push({ target, value, credit });
+            } else if (credit > existing.credit) {
+                Object.assign(existing, { value, credit });
+            }
+        };
+        
+        targetValues.forEach(target => {
+            if (!matchOptions.match || matchOptions.match === "exact") {
+                (index.get(target) || []).forEach(page => addMatch(page, target, target, 1));
+                return;
+            }
+            index.forEach((pages, value) => {
+                const credit = this.compareValues(target, value, matchOptions);
+                if (credit > 0) {
+                    pages.forEach(page => addMatch(page, target, value, credit));
+                }
+            });
+        });
+        
+        return results;
+    }
+
+    /**
+     * Returns how rare a value is across the vault, as its BM25 inverse document frequency
+     * normalized so that a value held by a single page scores 1 and a value held by every
+     * page scores close to 0. Frequencies come from the cached field index.
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {string} field - The frontmatter field holding the value
+     * @param {*} value - The value to measure
+     * @returns {number} Rarity between 0 and 1
+     */
+    getValueRarity(dv, field, value) {
+        const totalPages = this.getPages(dv).length;
+        const documentFrequency = Math.max((this.getFieldIndex(dv, field).get(value) || []).length, 1);
+        const idf = df => Math.log(1 + (totalPages - df + 0.5) / (df + 0.5));
+        const maxIdf = idf(1);
+        return maxIdf > 0 ? idf(documentFrequency) / maxIdf : 1;
+    }
+
+    /**
+     * Returns the pages holding any of the given values in a field, using the field index
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {string} field - The frontmatter field to match
+     * @param {Array} values - The values to look for
+     * @returns {Array} Matching pages, each listed once
+     */
+    getPagesByFieldValues(dv, field, values) {
+        const index = this.getFieldIndex(dv, field);
+        const matches = new Map();
+        values.forEach(value => {
+            (index.get(value) || []).forEach(p => matches.set(p.file.path, p));
+        });
+        return Array.from(matches.values());
+    }
+
+    /**
+     * Core method that finds pages based on matching frontmatter fields
+     * @param relationType - The frontmatter field to match (e.g., domain, level, unit); schema aliases are read too
+     * @param relationValue - The value(s) to match in that field
+     * @param relationSubject - Optional subject filter
+     * @param allowedDomains - Array of domains to search in (defaults to current page's domain)
+     * @param debug - Log the search to the console: true, a level or a logger (see getLogger()); default: false.
+     *   The "trace" sink needs a logger from createLogger(), read with its getTrace()
+     */
+    getConceptsByRelationType({ dv, relationType, relationValue, relationSubject = null, allowedDomains = null, debug = false }) {
+        this.getSchema(dv);
+        const logger = this.getLogger(debug, { title: "ConceptManager.getConceptsByRelationType()" });
+        if (logger && logger !== debug && logger.sink === "trace") {
+            throw new Error('ConceptManager: getConceptsByRelationType() cannot return a trace, pass debug: ConceptManager.createLogger({ sink: "trace" }) and read its getTrace()');
+        }
+        // Search values are normalized like the page values (case, links, aliases, synonyms)
+        const searchValues = (Array.isArray(relationValue) ? relationValue : [relationValue])
+            .map(v => this.normalizeFieldValue(v, "", relationType));
+        const domainField = this.getRoleField("domain");
+        const subjectField = this.getRoleField("subject");
+        const domainValues = allowedDomains ? allowedDomains.map(d => this.normalizeFieldValue(d, "", domainField)) : null;
+        const subjectValue = relationSubject ? this.normalizeFieldValue(relationSubject, "", subjectField) : null;
+        if (logger) {
+            logger.step(`Searching ${relationType}`, { relationType, values: searchValues.map(String), subject: subjectValue, domains: domainValues });
+            logger.info(`Searching ${relationType} for values: ${searchValues.map(v => this.formatValue(v)).join(', ')}`);
+        }
+
+        // Candidates come from the cached field index instead of a full dv.pages() scan
+        const candidates = this.getPagesByFieldValues(dv, relationType, searchValues);
+
+        const pages = dv.array(candidates)
+            .where(p => {
+                // Filter by allowed domains (configurable now), using the schema's domain and subject fields
+                const domains = this.getFieldValues(p, domainField);
+                if (domainValues && !domains.some(d => domainValues.includes(d))) return false;
+                if (subjectValue && !this.getFieldValues(p, subjectField).includes(subjectValue)) return false;
+                
+                // Handle both single values and arrays in frontmatter
+                const pageValues = this.getFieldValues(p, relationType);
+                if (logger) {
+                    logger.trace(`${p.file.name} has ${relationType}: ${pageValues.map(v => this.formatValue(v)).join(', ')}`, { page: p.file.path, values: pageValues.map(String) });
+                }
+
+                // Check for any matching values
+                const matches = searchValues.filter(v => pageValues.includes(v));
+                if (matches.length > 0) {
+                    if (logger) {
+                        logger.verbose(`${p.file.name} matches with: ${matches.map(v => this.formatValue(v)).join(', ')}`, { page: p.file.path, matches: matches.map(String) });
+                    }
+                    return true;
+                }
+                return false;
+            });
+        
+        if (logger) {
+            logger.info(`Found ${pages.length} of ${candidates.length} candidates.`);
+            if (logger !== debug) {
+                logger.flush();
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * Finds files that share the same directory structure as the current file.
+     * Used internally by other methods to find related concepts in the same directory.
+     * 
+     * @param {Object} params - The parameters object
+     * @param {Object} params.dv - The dataview API object
+     * @param {string} params.currentPath - The full path of the current file
+     * @returns {Object} Object with exactFolder and subFolders arrays
+     * @example
+     * // If current file is in "Technical Analysis/Time-Based Analysis/concept.md"
+     * // Returns { exactFolder: [...], subFolders: [...] }
+     * const pathFiles = getFilesInSamePath({ dv, currentPath: "path/to/file.md" });
+     */
+    getFilesInSamePath({ dv, currentPath }) {
+        const cacheKey = this.getCacheKey(`path::${currentPath}`);
+        if (this.relationsCache.has(cacheKey)) {
+            this.cacheStats.hits++;
+            return this.relationsCache.get(cacheKey);
+        }
+        this.cacheStats.misses++;
+        
+        const pathParts = currentPath.split('/');
+        // Remove the filename to get just the directory path
+        const dirPath = pathParts.slice(0, -1).join('/');
+        const currentDepth = pathParts.length - 1; // Subtract 1 for filename
+                
+        // Match whole folder names: "Notes/AI" must not match "Notes/AI-old"
+        const folderPrefix = dirPath ? `${dirPath}/` : '';
+        const allSamePathFiles = this.getPages(dv)
+            .where(p => p.file.path.startsWith(folderPrefix) && p.file.path !== currentPath);
+            
+        // Separate files in exact same folder vs subfolders
+        const exactFolder = [];
+        const subFolders = [];
+        
+        allSamePathFiles.forEach(file => {
+            const fileDepth = file.file.path.split('/').length - 1; // Subtract 1 for filename
+            if (fileDepth === currentDepth) {
+                exactFolder.push(file);
+            } else {
+                subFolders.push(file);
+            }
+        });
+        
+        const pathFiles = { exactFolder, subFolders };
+        this.relationsCache.set(cacheKey, pathFiles);
+        return pathFiles;
+    }
+
+    /**
+     * Computes link-graph signals between a page and every page connected to it.
+     * Each signal is between 0 and 1:
+     * - links: 1 if either page links to the other
+     * - sharedOutlinks: share of the page's outbound link targets that the other page also links to
+     * - sharedInlinks: share of the pages linking to the page that also link to the other page
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Object} params.page - The page to compute signals for
+     * @returns {Map} Map of file path => { links, sharedOutlinks, sharedInlinks }
+     */
+    getLinkSignals({ dv, page }) {
+        const pageIndex = this.getPageIndex(dv);
+        const linkPaths = links => new Set(Array.from(links || []).map(l => l && l.path).filter(Boolean));
+        const outlinks = linkPaths(page.file.outlinks);
+        const inlinks = linkPaths(page.file.inlinks);
+        
+        const signals = new Map();
+        const signalFor = path => {
+            if (!signals.has(path)) {
+                signals.set(path, { links: 0, sharedOutlinks: 0, sharedInlinks: 0 });
+            }
+            return signals.get(path);
+        };
+        
+        // Direct links in either direction
+        outlinks.forEach(path => { signalFor(path).links = 1; });
+        inlinks.forEach(path => { signalFor(path).links = 1; });
+        
+        // Shared outbound targets: other pages linking to the same targets
+        outlinks.forEach(targetPath => {
+            const target = pageIndex.get(targetPath);
+            if (!target) return;
+            linkPaths(target.file.inlinks).forEach(path => { signalFor(path).sharedOutlinks += 1 / outlinks.size; });
+        });
+        
+        // Shared backlinks: other pages linked from the same sources
+        inlinks.forEach(sourcePath => {
+            const source = pageIndex.get(sourcePath);
+            if (!source) return;
+            linkPaths(source.file.outlinks).forEach(path => { signalFor(path).sharedInlinks += 1 / inlinks.size; });
+        });
+        
+        // Only existing pages other than the page itself
+        signals.delete(page.file.path);
+        Array.from(signals.keys()).forEach(path => {
+            if (!pageIndex.has(path)) signals.delete(path);
+        });
+        
+        return signals;
+    }
+
+    /**
+     * Returns the typed relations of a page: the pages its relation fields link to, plus the
+     * inverse relations declared by other pages (a page whose parent is this page is one of
+     * its children). Links are compared by file path, so Link objects and "[[...]]" strings agree.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Object} params.page - The page whose relations to return (default: current page)
+     * @param {Array<string>} params.relationTypes - Relation types to return, in order (default: all schema relations)
+     * @returns {Map} Map of relation type => { label, pages: [{ page, inferred }] }, for types with at least one page;
+     *   inferred is true when the relation only comes from the other page's inverse field
+     * 
+     * @example
+     * // Parents, children and contradictions of the current note
+     * getRelationsOf({ dv, relationTypes: ["parent", "child", "contradicts"] })
+     */
+    getRelationsOf({ dv, page = null, relationTypes = null }) {
+        const current = page || dv.current();
+        const schema = this.getSchema(dv);
+        const pageIndex = this.getPageIndex(dv);
+        const types = relationTypes || Object.keys(schema.relations);
+        const relations = new Map();
+        
+        types.forEach(type => {
+            const spec = schema.relations[type] || { label: type.charAt(0).toUpperCase() + type.slice(1) };
+            const related = new Map();
+            
+            // Declared: this page's own field links to the related page
+            this.getFieldValues(current, type).forEach(path => {
+                const target = typeof path === 'string' ? pageIndex.get(path) : null;
+                if (target && target.file.path !== current.file.path) {
+                    related.set(target.file.path, { page: target, inferred: false });
+                }
+            });
+            
+            // Inferred: the other page's inverse field links back to this page
+            if (spec.inverse) {
+                (this.getFieldIndex(dv, spec.inverse).get(current.file.path) || []).forEach(source => {
+                    if (source.file.path !== current.file.path && !related.has(source.file.path)) {
+                        related.set(source.file.path, { page: source, inferred: true });
+                    }
+                });
+            }
+            
+            if (related.size > 0) {
+                relations.set(type, { label: spec.label, pages: Array.from(related.values()) });
+            }
+        });
+        
+        return relations;
+    }
+
+    /**
+     * Resolves a page reference to a DataView page
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object|string} ref - A page, a Link, a "[[...]]" string or a file path (default: current page)
+     * @returns {Object|null} The page, or null if it cannot be found
+     */
+    resolvePage(dv, ref) {
+        if (!ref) return dv.current();
+        if (ref.file) return ref;
+        const path = this.resolveLinkPath(ref) || ref;
+        return this.getPageIndex(dv).get(path) || dv.page(path) || null;
+    }
+
+    /**
+     * Walks the concept graph out from a root page for a number of hops, following typed relations
+     * (see getRelationsOf()), links in either direction and getRelatedConcepts() similarity.
+     * 
+     * Edge weights:
+     * - relation: weights.relation (× the relation's weight in the schema, default 1)
+     * - link: weights.link
+     * - similar: weights.similar × the confidence (0-1)
+     * Relations keep the direction in which they are declared (an inferred "child" edge is stored
+     * as the other page's "parent" edge); links and similarity edges are stored once per pair.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Object|string} params.root - Start page, Link or path (default: current page)
+     * @param {number} params.depth - Number of hops to walk (default: 2)
+     * @param {Array<string>} params.relationTypes - Relation types to follow (default: all schema relations; [] for none)
+     * @param {boolean} params.includeLinks - Follow outlinks and backlinks (default: true)
+     * @param {boolean} params.includeSimilar - Follow getRelatedConcepts() results (default: true)
+     * @param {number} params.minScore - Minimum confidence of similarity edges, 0-1 (default: 0.66)
+     * @param {number} params.maxNeighbours - Largest number of similarity edges per page (default: 10)
+     * @param {Object} params.weights - Edge weights per kind (default: { relation: 1, link: 0.5, similar: 1 })
+     * @param {Object} params.conceptOptions - Further options passed to getRelatedConcepts()
+     * @returns {Object} { root, nodes: [{ id, page, depth }], edges: [{ source, target, kind, type, weight }] },
+     *   where ids, sources and targets are file paths and depth is the number of hops from the root
+     * 
+     * @example
+     * // Everything within two hops through relations and links, without similarity
+     * getConceptGraph({ dv, depth: 2, includeSimilar: false })
+     */
+    getConceptGraph({ 
+        dv, 
+        root = null, 
+        depth = 2, 
+        relationTypes = null, 
+        includeLinks = true, 
+        includeSimilar = true, 
+        minScore = 0.66, 
+        maxNeighbours = 10, 
+        weights = {}, 
+        conceptOptions = {} 
+    }) {
+        const rootPage = this.resolvePage(dv, root);
+        if (!rootPage) return { root: null, nodes: [], edges: [] };
+        
+        const schema = this.getSchema(dv);
+        const pageIndex = this.getPageIndex(dv);
+        const edgeWeights = { relation: 1, link: 0.5, similar: 1, ...weights };
+        const nodes = new Map([[rootPage.file.path, { id: rootPage.file.path, page: rootPage, depth: 0 }]]);
+        const edges = new Map();
+        
+        const addEdge = (source, target, kind, type, weight) => {
+            if (source === target || weight <= 0) return;
+            // Undirected kinds are stored once per pair
+            const [a, b] = kind === "relation" ? [source, target] : [source, target].sort();
+            const key = `${a}|${b}|${kind}|${type}`;
+            if (!edges.has(key) || edges.get(key).weight < weight) {
+                edges.set(key, { source: a, target: b, kind, type, weight });
+            }
+        };
+        
+        let frontier = [rootPage];
+        for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+            const next = [];
+            const visit = (page) => {
+                if (!nodes.has(page.file.path)) {
+                    nodes.set(page.file.path, { id: page.file.path, page, depth: hop });
+                    next.push(page);
+                }
+            };
+            
+            frontier.forEach(page => {
+                const path = page.file.path;
+                
+                if (!relationTypes || relationTypes.length > 0) {
+                    this.getRelationsOf({ dv, page, relationTypes }).forEach(({ pages }, type) => {
+                        pages.forEach(({ page: other, inferred }) => {
+                            // An inferred relation is the other page's declared inverse relation
+                            const edgeType = inferred ? (schema.relations[type] || {}).inverse || type : type;
+                            const relationWeight = (schema.relations[edgeType] || {}).weight;
+                            const weight = edgeWeights.relation * (relationWeight !== undefined ? relationWeight : 1);
+                            if (inferred) {
+                                addEdge(other.file.path, path, "relation", edgeType, weight);
+                            } else {
+                                addEdge(path, other.file.path, "relation", edgeType, weight);
+                            }
+                            visit(other);
+                        });
+                    });
+                }
+                
+                if (includeLinks) {
+                    const linked = [...this.getFieldValues(page, "file.outlinks"), ...this.getFieldValues(page, "file.inlinks")];
+                    linked.forEach(linkPath => {
+                        const other = pageIndex.get(linkPath);
+                        if (!other || other.file.path === path) return;
+                        addEdge(path, other.file.path, "link", "link", edgeWeights.link);
+                        visit(other);
+                    });
+                }
+                
+                if (includeSimilar) {
+                    this.scoreConcepts({ 
+                        maxResults: maxNeighbours, 
+                        strictMaxResults: true, 
+                        ...conceptOptions, 
+                        source: dv, 
+                        output: dv, 
+                        page, 
+                        minScore, 
+                        debug: false 
+                    }).forEach(result => {
+                        if (result.concept.file.path === path) return;
+                        addEdge(path, result.concept.file.path, "similar", "similar", edgeWeights.similar * result.confidence / 100);
+                        visit(result.concept);
+                    });
+                }
+            });
+            
+            frontier = next;
+        }
+        
+        return { root: rootPage.file.path, nodes: Array.from(nodes.values()), edges: Array.from(edges.values()) };
+    }
+
+    /**
+     * Finds the shortest path between two concepts in the concept graph (Dijkstra), where
+     * crossing an edge costs 1 / its weight: strong relations make short paths.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Object|string} params.from - Start page, Link or path (default: current page)
+     * @param {Object|string} params.to - Target page, Link or path
+     * @param {Object} params.graph - A graph from getConceptGraph(); built from `from` when omitted
+     * @param {boolean} params.directed - Only follow relation edges from source to target, e.g. along
+     *   "precedes" for a reading order (default: false)
+     * @param {number} params.depth - Hops walked when building the graph (default: 4)
+     * @param {Object} params.graphOptions - Further options passed to getConceptGraph()
+     * @returns {Object|null} { pages, edges, cost }, or null if the concepts are not connected
+     * 
+     * @example
+     * // How do these two ideas connect?
+     * getShortestPath({ dv, from: "TA/RSI.md", to: "PKM/Zettel.md" })
+     */
+    getShortestPath({ dv, from = null, to, graph = null, directed = false, depth = 4, graphOptions = {} }) {
+        const fromPage = this.resolvePage(dv, from);
+        const toPage = this.resolvePage(dv, to);
+        if (!fromPage || !toPage) return null;
+        
+        const conceptGraph = graph || this.getConceptGraph({ ...graphOptions, dv, root: fromPage, depth });
+        const start = fromPage.file.path;
+        const goal = toPage.file.path;
+        
+        const adjacency = new Map();
+        const connect = (a, b, edge) => {
+            if (!adjacency.has(a)) adjacency.set(a, []);
+            adjacency.get(a).push({ next: b, edge });
+        };
+        conceptGraph.edges.forEach(edge => {
+            connect(edge.source, edge.target, edge);
+            if (!directed || edge.kind !== "relation") connect(edge.target, edge.source, edge);
+        });
+        
+        // Dijkstra over the (small) walked graph
+        const costs = new Map([[start, 0]]);
+        const previous = new Map();
+        const pending = new Set([start]);
+        while (pending.size > 0) {
+            const node = Array.from(pending).reduce((best, n) => costs.get(n) < costs.get(best) ? n : best);
+            pending.delete(node);
+            if (node === goal) break;
+            (adjacency.get(node) || []).forEach(({ next, edge }) => {
+                const cost = costs.get(node) + 1 / edge.weight;
+                if (!costs.has(next) || cost < costs.get(next)) {
+                    costs.set(next, cost);
+                    previous.set(next, { node, edge });
+                    pending.add(next);
+                }
+            });
+        }
+        
+        if (!costs.has(goal)) return null;
+        
+        const nodePaths = [goal];
+        const pathEdges = [];
+        for (let node = goal; previous.has(node); node = previous.get(node).node) {
+            nodePaths.unshift(previous.get(node).node);
+            pathEdges.unshift(previous.get(node).edge);
+        }
+        
+        const pageIndex = this.getPageIndex(dv);
+        return { pages: nodePaths.map(path => pageIndex.get(path)), edges: pathEdges, cost: costs.get(goal) };
+    }
+
+    /**
+     * Scores every page against the others and returns the relatedness graph: one directed edge from
+     * each page to each of its related concepts, with the confidence and the per-field breakdown.
+     * Only edges between the selected pages are kept.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object (or a page source, see createMemoryAdapter())
+     * @param {Array<string>} params.includeFolders - Globs of folders to include (default: all)
+     * @param {Array<string>} params.excludeFolders - Globs of folders to leave out (default: none)
+     * @param {Function} params.filter - Optional page => boolean selecting the pages to include
+     * @param {Object} params.conceptOptions - Options passed to scoreConcepts() for every page
+     *   (default: maxResults 10, minScore 0.66 and each page's default criteria)
+     * @returns {Object} { nodes: [{ id, name, folder, ...role fields }], edges: [{ source, target, confidence,
+     *   totalScore, maxScore, linked, inSamePath, scores, matches }] }
+     */
+    getRelatednessGraph({ dv, includeFolders = [], excludeFolders = [], filter = null, conceptOptions = {} }) {
+        const schema = this.getSchema(dv);
+        const folderOf = path => path.split('/').slice(0, -1).join('/');
+        const pages = [];
+        this.getPages(dv).forEach(p => {
+            if (this.isFolderAllowed(folderOf(p.file.path), { includeFolders, excludeFolders }) && (!filter || filter(p))) {
+                pages.push(p);
+            }
+        });
+        const selected = new Set(pages.map(p => p.file.path));
+        
+        // Values as first written, e.g. note names rather than paths
+        const describe = (page, field) => {
+            const value = this.getFieldValue(page, field);
+            return (Array.isArray(value) ? value : [value])
+                .filter(v => v !== undefined && v !== null && v !== '')
+                .map(v => this.formatValue(this.normalizeFieldValue(v, page.file.path, field)))
+                .join(', ');
+        };
+        const roleFields = Object.values(schema.roles);
+        const nodes = pages.map(p => ({
+            id: p.file.path,
+            name: p.file.name,
+            folder: folderOf(p.file.path),
+            ...Object.fromEntries(roleFields.map(field => [field, describe(p, field)]))
+        }));
+        
+        const edges = [];
+        pages.forEach(p => {
+            this.scoreConcepts({ ...conceptOptions, source: dv, page: p, debug: false })
+                .filter(r => selected.has(r.concept.file.path))
+                .forEach(r => edges.push({
+                    source: p.file.path,
+                    target: r.concept.file.path,
+                    confidence: Math.round(r.confidence * 100) / 100,
+                    totalScore: r.totalScore,
+                    maxScore: r.maxScore,
+                    linked: r.linked,
+                    inSamePath: r.inSamePath,
+                    scores: r.scores,
+                    matches: Object.fromEntries(Object.entries(r.matches).map(([field, matches]) => 
+                        [field, matches.map(m => this.formatValue(m.value))]))
+                }));
+        });
+        
+        return { nodes, edges };
+    }
+
+    /**
+     * Serializes a relatedness graph (see getRelatednessGraph()) as JSON, GraphML or a CSV edge list
+     * 
+     * @param {Object} graph - { nodes, edges }
+     * @param {string} format - "json", "graphml" or "csv"
+     * @returns {string} The file contents
+     */
+    serializeGraph(graph, format) {
+        const dimensions = Array.from(new Set(graph.edges.flatMap(e => Object.keys(e.scores))));
+        
+        if (format === "csv") {
+            const csvCell = value => {
+                const text = value === undefined || value === null ? '' : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const columns = ["source", "target", "confidence", "totalScore", "maxScore", "linked", "inSamePath", ...dimensions];
+            return [
+                columns.join(','),
+                ...graph.edges.map(e => [
+                    e.source, e.target, e.confidence, e.totalScore, e.maxScore, e.linked, e.inSamePath, 
+                    ...dimensions.map(d => e.scores[d])
+                ].map(csvCell).join(','))
+            ].join('\n') + '\n';
+        }
+        
+        if (format === "graphml") {
+            const xml = value => String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            const nodeAttributes = Array.from(new Set(graph.nodes.flatMap(n => Object.keys(n)))).filter(key => key !== "id");
+            const edgeAttributes = [
+                ["confidence", "double"], ["totalScore", "double"], ["maxScore", "double"], 
+                ["linked", "boolean"], ["inSamePath", "boolean"],
+                ...dimensions.map(d => [`score_${d}`, "double"])
+            ];
+            const edgeValue = (e, key) => key.startsWith("score_") ? e.scores[key.slice(6)] : e[key];
+            const data = (key, value) => value === undefined || value === null || value === '' ? 
+                [] : 
+                [`      <data key="${xml(key)}">${xml(value)}</data>`];
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+                ...nodeAttributes.map(key => `  <key id="n_${xml(key)}" for="node" attr.name="${xml(key)}" attr.type="string"/>`),
+                ...edgeAttributes.map(([key, type]) => `  <key id="e_${xml(key)}" for="edge" attr.name="${xml(key)}" attr.type="${type}"/>`),
+                '  <graph id="concepts" edgedefault="directed">',
+                ...graph.nodes.flatMap(n => [
+                    `    <node id="${xml(n.id)}">`,
+                    ...nodeAttributes.flatMap(key => data(`n_${key}`, n[key])),
+                    '    </node>'
+                ]),
+                ...graph.edges.flatMap(e => [
+                    `    <edge source="${xml(e.source)}" target="${xml(e.target)}">`,
+                    ...edgeAttributes.flatMap(([key]) => data(`e_${key}`, edgeValue(e, key))),
+                    '    </edge>'
+                ]),
+                '  </graph>',
+                '</graphml>'
+            ].join('\n') + '\n';
+        }
+        
+        return JSON.stringify({ generator: "ConceptManager", exportedAt: new Date().toISOString(), ...graph }, null, 2);
+    }
+
+    /**
+     * Reads the edges back from an export (re-import), whatever its format
+     * 
+     * @param {string} text - Contents of a JSON, GraphML or CSV export
+     * @param {string} format - "json", "graphml" or "csv"
+     * @returns {Array} Edges as { source, target, confidence }
+     */
+    parseGraphExport(text, format) {
+        if (format === "json") {
+            return (JSON.parse(text).edges || []).map(({ source, target, confidence }) => ({ source, target, confidence }));
+        }
+        
+        if (format === "graphml") {
+            const unescape = value => value
+                .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+            return Array.from(text.matchAll(/<edge\s+source="([^"]*)"\s+target="([^"]*)">([\s\S]*?)<\/edge>/g))
+                .map(([, source, target, body]) => {
+                    const confidence = body.match(/<data key="e_confidence">([^<]*)<\/data>/);
+                    return { source: unescape(source), target: unescape(target), confidence: confidence ? Number(confidence[1]) : null };
+                });
+        }
+        
+        // CSV: quoted cells may hold commas and doubled quotes
+        const rows = text.split(/\r?\n/).filter(line => line.trim()).map(line => 
+            Array.from(line.matchAll(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g), m => m[1].replace(/^"|"$/g, '').replace(/""/g, '"'))
+        );
+        const [header = [], ...records] = rows;
+        const column = name => header.indexOf(name);
+        return records.map(cells => ({
+            source: cells[column("source")],
+            target: cells[column("target")],
+            confidence: column("confidence") >= 0 ? Number(cells[column("confidence")]) : null
+        }));
+    }
+
+    /**
+     * Compares the edges of two exports
+     * 
+     * @param {Array} previousEdges - Edges of the previous export, as { source, target, confidence }
+     * @param {Array} edges - Edges of the new export
+     * @returns {Object} { added, removed, unchanged }: the edges that appeared, the edges that disappeared
+     *   and the number of edges found in both
+     */
+    diffGraphEdges(previousEdges, edges) {
+        const key = e => `${e.source}\u0000${e.target}`;
+        const previousKeys = new Set(previousEdges.map(key));
+        const keys = new Set(edges.map(key));
+        const pick = ({ source, target, confidence }) => ({ source, target, confidence });
+        return {
+            added: edges.filter(e => !previousKeys.has(key(e))).map(pick),
+            removed: previousEdges.filter(e => !keys.has(key(e))).map(pick),
+            unchanged: edges.filter(e => previousKeys.has(key(e))).length
+        };
+    }
+
+    /**
+     * Exports the relatedness graph of the vault (or of a filtered set of pages) to a file in the vault,
+     * for analysis and backups outside Obsidian:
+     * - JSON: nodes and edges with confidences, per-dimension scores and matched values
+     * - GraphML: nodes and directed edges with their attributes, e.g. for Gephi
+     * - CSV: an edge list with one column per scoring dimension
+     * 
+     * Before the file is overwritten, its edges are compared with the new ones, so the result reports
+     * which relationships appeared or disappeared since the last export.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object (or a page source, see createMemoryAdapter())
+     * @param {string} params.path - Vault path of the export (default: "ConceptManager Graph.json")
+     * @param {string} params.format - "json", "graphml" or "csv" (default: from the path's extension)
+     * @param {string} params.compareWith - Export to compare with, in any format (default: the file at path)
+     * @param {boolean} params.write - Write the export; false only compares (default: true)
+     * @param {Array<string>} params.includeFolders - Globs of folders to include (default: all)
+     * @param {Array<string>} params.excludeFolders - Globs of folders to leave out (default: none)
+     * @param {Function} params.filter - Optional page => boolean selecting the pages to include
+     * @param {Object} params.conceptOptions - Options passed to scoreConcepts() for every page
+     * @returns {Promise<Object>} { path, format, nodes, edges, diff }, diff being null without a previous export
+     *   and { previous, added, removed, unchanged } otherwise (see diffGraphEdges())
+     * 
+     * @example
+     * // Back up the graph of the knowledge base and list the relationships that changed
+     * const { diff } = await ConceptManager.exportConceptGraph({ 
+     *   dv, 
+     *   path: "Exports/concepts.graphml", 
+     *   excludeFolders: ["Templates/**"] 
+     * });
+     */
+    exportConceptGraph({ 
+        dv, 
+        path = "ConceptManager Graph.json", 
+        format = null, 
+        compareWith = null, 
+        write = true, 
+        includeFolders = [], 
+        excludeFolders = [], 
+        filter = null, 
+        conceptOptions = {} 
+    }) {
+        const formatOf = file => {
+            const extension = (file.match(/\.([^./]+)$/) || [])[1];
+            return ["graphml", "csv"].includes((extension || '').toLowerCase()) ? extension.toLowerCase() : "json";
+        };
+        format = format || formatOf(path);
+        
+        return (async () => {
+            if (!this.isSchemaReady()) {
+                await this.loadSchema({ dv });
+            }
+            const graph = this.getRelatednessGraph({ dv, includeFolders, excludeFolders, filter, conceptOptions });
+            
+            const previousPath = compareWith || path;
+            const previousText = await this.readVaultFile(dv, previousPath);
+            let diff = null;
+            if (previousText !== null) {
+                try {
+                    diff = { previous: previousPath, ...this.diffGraphEdges(this.parseGraphExport(previousText, formatOf(previousPath)), graph.edges) };
+                } catch (error) {
+                    console.warn(`ConceptManager: could not read the previous export ${previousPath}`, error);
+                }
+            }
+            
+            if (write) {
+                await this.writeVaultFile(dv, path, this.serializeGraph(graph, format));
+            }
+            
+            return { path, format, nodes: graph.nodes, edges: graph.edges, diff };
+        })();
+    }
+
+    /**
+     * Splits note text into content terms: lowercased words of three or more letters or digits,
+     * leaving out frontmatter, code blocks (including dataviewjs blocks), URLs and common stopwords.
+     * 
+     * @param {string} text - Note text
+     * @returns {Array<string>} Terms in order of appearance
+     */
+    tokenize(text) {
+        const stopwords = new Set([
+            "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "had", "her", "was", "one",
+            "our", "out", "has", "have", "this", "that", "with", "from", "they", "will", "would", "there",
+            "their", "what", "about", "which", "when", "make", "like", "than", "then", "them", "these",
+            "some", "into", "more", "other", "also", "its", "only", "over", "such", "very", "your", "been",
+            "were", "each", "how", "who", "does", "did", "just", "may", "should", "could", "where", "while"
+        ]);
+        
+        const terms = (text || '')
+            .replace(/^---\r?\n[\s\S]*?\r?\n---/, ' ')
+            .replace(/```[\s\S]*?```/g, ' ')
+            .replace(/https?:\/\/\S+/g, ' ')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]{3,}/gu) || [];
+        return terms.filter(term => !stopwords.has(term));
+    }
+
+    /**
+     * Adds or replaces a note in the content index
+     * 
+     * @param {string} path - File path of the note
+     * @param {number} mtime - Modification timestamp of the indexed text
+     * @param {string} text - Note text
+     */
+    indexContent(path, mtime, text) {
+        this.removeContent(path);
+        
+        const terms = new Map();
+        this.tokenize(text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+        this.contentIndex.docs.set(path, { mtime, terms });
+        
+        terms.forEach((count, term) => {
+            this.contentIndex.documentFrequency.set(term, (this.contentIndex.documentFrequency.get(term) || 0) + 1);
+            if (!this.contentIndex.postings.has(term)) {
+                this.contentIndex.postings.set(term, new Set());
+            }
+            this.contentIndex.postings.get(term).add(path);
+        });
+    }
+
+    /**
+     * Removes a note from the content index
+     * 
+     * @param {string} path - File path of the note
+     */
+    removeContent(path) {
+        const doc = this.contentIndex.docs.get(path);
+        if (!doc) return;
+        
+        doc.terms.forEach((count, term) => {
+            const frequency = this.contentIndex.documentFrequency.get(term) - 1;
+            if (frequency > 0) {
+                this.contentIndex.documentFrequency.set(term, frequency);
+                this.contentIndex.postings.get(term).delete(path);
+            } else {
+                this.contentIndex.documentFrequency.delete(term);
+                this.contentIndex.postings.delete(term);
+            }
+        });
+        this.contentIndex.docs.delete(path);
+    }
+
+    /**
+     * Reads the text of a note through the vault adapter (or DataView outside Obsidian, or a memory source)
      * 
-     * @returns {string} "Hello, World!"
+     * @param {Object} dv - DataView API object
+     * @param {string} path - File path of the note
+     * @returns {Promise<string>} The note text
      */
-    helloWorld() {
-        return "Hello, World!";
+    readContent(dv, path) {
+        const inVault = !dv.sourceId || dv.sourceId === "dataview";
+        if (inVault && typeof app !== 'undefined' && app.vault && app.vault.adapter) {
+            return app.vault.adapter.read(path);
+        }
+        return dv.io.load(path);
     }
 
     /**
-     * Core method that finds pages based on matching frontmatter fields
-     * @param relationType - The frontmatter field to match (e.g., domain, level, unit)
-     * @param relationValue - The value(s) to match in that field
-     * @param relationSubject - Optional subject filter
-     * @param allowedDomains - Array of domains to search in (defaults to current page's domain)
+     * Reads any vault file, e.g. a previous export
+     * 
+     * @param {Object} dv - DataView API object or page source
+     * @param {string} path - Vault path of the file
+     * @returns {Promise<string|null>} The file text, or null if the file does not exist
      */
-    getConceptsByRelationType({ dv, relationType, relationValue, relationSubject = null, allowedDomains = null }) {
-        const searchValues = Array.isArray(relationValue) ? relationValue : [relationValue];
-        console.log(`Searching ${relationType} for values:`, searchValues);
+    readVaultFile(dv, path) {
+        const inVault = !dv.sourceId || dv.sourceId === "dataview";
+        if (inVault && typeof app !== 'undefined' && app.vault && app.vault.adapter) {
+            return app.vault.adapter.exists(path).then(exists => exists ? app.vault.adapter.read(path) : null);
+        }
+        return Promise.resolve(dv.io.load(path)).then(text => text === undefined ? null : text, () => null);
+    }
 
-        return dv.pages()
-            .where(p => {
-                // Filter by allowed domains (configurable now)
-                if (allowedDomains && !allowedDomains.includes(p.domain)) return false;
-                if (relationSubject && p.subject !== relationSubject) return false;
-                
-                // Handle both single values and arrays in frontmatter
-                const pageValues = Array.isArray(p[relationType]) ? p[relationType] : [p[relationType]];
-                console.log(`${p.file.name} has ${relationType}:`, pageValues);
+    /**
+     * Writes a vault file, creating or replacing it (or stores it in a memory source)
+     * 
+     * @param {Object} dv - DataView API object or page source
+     * @param {string} path - Vault path of the file
+     * @param {string} text - The file contents
+     * @returns {Promise} Resolves once the file is written
+     */
+    writeVaultFile(dv, path, text) {
+        const inVault = !dv.sourceId || dv.sourceId === "dataview";
+        if (inVault && typeof app !== 'undefined' && app.vault && app.vault.adapter) {
+            // Missing folders are created first
+            const folder = path.split('/').slice(0, -1).join('/');
+            return (folder ? app.vault.adapter.exists(folder) : Promise.resolve(true))
+                .then(exists => exists ? null : app.vault.adapter.mkdir(folder))
+                .then(() => app.vault.adapter.write(path, text));
+        }
+        if (dv.io && typeof dv.io.write === 'function') {
+            return Promise.resolve(dv.io.write(path, text));
+        }
+        return Promise.reject(new Error(`ConceptManager: cannot write ${path} outside Obsidian`));
+    }
 
-                // Check for any matching values
-                const matches = searchValues.filter(v => pageValues.includes(v));
-                if (matches.length > 0) {
-                    console.log(`${p.file.name} matches with:`, matches);
-                    return true;
+    /**
+     * Registers the vault listeners that keep the content index up to date one note at a time.
+     * Runs once per ConceptManager instance; does nothing outside Obsidian.
+     * Released by unload().
+     */
+    registerContentListeners() {
+        if (this.contentEventRefs || typeof app === 'undefined' || !app.vault) return;
+        this.unloadPreviousInstance();
+        
+        const reindex = file => {
+            if (file.extension !== "md") return;
+            app.vault.cachedRead(file)
+                .then(text => this.indexContent(file.path, file.stat.mtime, text))
+                .catch(error => console.warn(`ConceptManager: could not index ${file.path}`, error));
+        };
+        
+        this.contentEventRefs = [
+            this.listen(app.vault, "modify", reindex),
+            this.listen(app.vault, "create", reindex),
+            this.listen(app.vault, "delete", file => this.removeContent(file.path)),
+            this.listen(app.vault, "rename", (file, oldPath) => {
+                this.removeContent(oldPath);
+                reindex(file);
+            })
+        ];
+    }
+
+    /**
+     * Builds or incrementally updates the content index used for content similarity.
+     * Only notes whose modification time changed since they were indexed are read again.
+     * Concurrent calls share the same update.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {boolean} params.force - Re-read every note (default: false)
+     * @returns {Promise<Object>} { indexed, unchanged, removed }
+     * 
+     * @example
+     * // Build the index before rendering, so the first render includes content similarity
+     * await ConceptManager.updateContentIndex({ dv });
+     */
+    updateContentIndex({ dv, force = false }) {
+        if (this.contentIndexing) return this.contentIndexing;
+        this.registerContentListeners();
+        
+        this.contentIndexing = (async () => {
+            const stats = { indexed: 0, unchanged: 0, removed: 0 };
+            const pages = [];
+            this.getPages(dv).forEach(p => pages.push(p));
+            const livePaths = new Set(pages.map(p => p.file.path));
+            
+            for (const p of pages) {
+                const mtime = this.toTimestamp(p.file.mtime);
+                const doc = this.contentIndex.docs.get(p.file.path);
+                if (!force && doc && doc.mtime === mtime) {
+                    stats.unchanged++;
+                    continue;
+                }
+                this.indexContent(p.file.path, mtime, await this.readContent(dv, p.file.path));
+                stats.indexed++;
+            }
+            
+            Array.from(this.contentIndex.docs.keys()).forEach(path => {
+                if (!livePaths.has(path)) {
+                    this.removeContent(path);
+                    stats.removed++;
                 }
-                return false;
             });
+            
+            return stats;
+        })().finally(() => {
+            this.contentIndexing = null;
+        });
+        
+        return this.contentIndexing;
     }
 
     /**
-     * Finds files that share the same directory structure as the current file.
-     * Used internally by other methods to find related concepts in the same directory.
+     * Computes the content similarity between a page and the other indexed notes: the cosine
+     * of their TF-IDF term vectors, using the page's most significant terms as the query.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.page - The page to compare
+     * @param {number} params.minSimilarity - Smallest similarity to return (default: 0.1)
+     * @param {number} params.maxTerms - Number of the page's terms used as the query (default: 50)
+     * @returns {Map|null} Map of file path => similarity (0-1), or null if the page is not indexed yet
+     */
+    getContentSimilarities({ page, minSimilarity = 0.1, maxTerms = 50 }) {
+        const { docs, documentFrequency, postings } = this.contentIndex;
+        const doc = docs.get(page.file.path);
+        if (!doc) return null;
+        
+        const idf = term => Math.log(1 + docs.size / (documentFrequency.get(term) || 1));
+        const termWeight = (count, term) => (1 + Math.log(count)) * idf(term);
+        const norm = terms => Math.sqrt(Array.from(terms.entries())
+            .reduce((sum, [term, count]) => sum + Math.pow(termWeight(count, term), 2), 0));
+        
+        const queryTerms = Array.from(doc.terms.entries())
+            .map(([term, count]) => [term, termWeight(count, term)])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxTerms);
+        const queryNorm = Math.sqrt(queryTerms.reduce((sum, [, weight]) => sum + weight * weight, 0));
+        
+        // Dot products with every note sharing at least one query term
+        const dotProducts = new Map();
+        queryTerms.forEach(([term, weight]) => {
+            postings.get(term).forEach(path => {
+                if (path === page.file.path) return;
+                const count = docs.get(path).terms.get(term);
+                dotProducts.set(path, (dotProducts.get(path) || 0) + weight * termWeight(count, term));
+            });
+        });
+        
+        const similarities = new Map();
+        dotProducts.forEach((dotProduct, path) => {
+            const similarity = queryNorm > 0 ? dotProduct / (queryNorm * norm(docs.get(path).terms)) : 0;
+            if (similarity >= minSimilarity) {
+                similarities.set(path, Math.min(similarity, 1));
+            }
+        });
+        
+        return similarities;
+    }
+
+    /**
+     * Tests a folder path against a glob pattern.
+     * "*" matches within one folder name, "**" across folders, "?" one character;
+     * a trailing "/**" also matches the folder itself.
+     * 
+     * @param {string} folderPath - Folder path, e.g. "Notes/AI"
+     * @param {string} glob - Glob pattern, e.g. "Archive/**" or "Projects/?ld"
+     * @returns {boolean} True if the folder matches
+     */
+    matchesGlob(folderPath, glob) {
+        const pattern = glob
+            .replace(/\/+$/, '')
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\/\*\*$/, '\u0000')
+            .replace(/\*\*/g, '\u0001')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '[^/]')
+            .replace(/\u0001/g, '.*')
+            .replace(/\u0000/g, '(/.*)?');
+        return new RegExp(`^${pattern}$`).test(folderPath);
+    }
+
+    /**
+     * Tests a folder path against include and exclude glob lists.
+     * With includeFolders set, the folder must match one of them; it must match none of excludeFolders.
+     * 
+     * @param {string} folderPath - Folder path, e.g. "Notes/AI"
+     * @param {Object} [globs={}] - Glob lists
+     * @param {Array<string>} [globs.includeFolders=[]] - Folders to keep (empty keeps all)
+     * @param {Array<string>} [globs.excludeFolders=[]] - Folders to leave out
+     * @returns {boolean} True if the folder passes both lists
+     */
+    isFolderAllowed(folderPath, { includeFolders = [], excludeFolders = [] } = {}) {
+        if (includeFolders.length > 0 && !includeFolders.some(glob => this.matchesGlob(folderPath, glob))) {
+            return false;
+        }
+        return !excludeFolders.some(glob => this.matchesGlob(folderPath, glob));
+    }
+
+    /**
+     * Returns the tree distance between two folders: the number of steps up from the first
+     * folder to their deepest shared ancestor, plus the steps down to the second folder.
+     * Same folder = 0, parent or subfolder = 1, sibling folder = 2.
+     * 
+     * @param {string} folderA - Folder path ("" for the vault root)
+     * @param {string} folderB - Folder path ("" for the vault root)
+     * @returns {Object} { distance, sharedDepth }
+     */
+    getFolderDistance(folderA, folderB) {
+        const partsA = folderA ? folderA.split('/') : [];
+        const partsB = folderB ? folderB.split('/') : [];
+        
+        let sharedDepth = 0;
+        while (sharedDepth < partsA.length && sharedDepth < partsB.length && partsA[sharedDepth] === partsB[sharedDepth]) {
+            sharedDepth++;
+        }
+        
+        return { distance: (partsA.length - sharedDepth) + (partsB.length - sharedDepth), sharedDepth };
+    }
+
+    /**
+     * Finds the files within a maximum folder distance of the current file, in any direction:
+     * same folder, parent and ancestor folders, subfolders and sibling folders.
      * 
      * @param {Object} params - The parameters object
      * @param {Object} params.dv - The dataview API object
      * @param {string} params.currentPath - The full path of the current file
-     * @returns {Object} Object with exactFolder and subFolders arrays
-     * @example
-     * // If current file is in "Technical Analysis/Time-Based Analysis/concept.md"
-     * // Returns { exactFolder: [...], subFolders: [...] }
-     * const pathFiles = getFilesInSamePath({ dv, currentPath: "path/to/file.md" });
+     * @param {number} params.maxDistance - Maximum folder distance to include (default: 3)
+     * @returns {Array} Array of { page, distance, sharedDepth }, closest first
      */
-    getFilesInSamePath({ dv, currentPath }) {
-        const pathParts = currentPath.split('/');
-        // Remove the filename to get just the directory path
-        const dirPath = pathParts.slice(0, -1).join('/');
-        const currentDepth = pathParts.length - 1; // Subtract 1 for filename
-                
-        const allSamePathFiles = dv.pages()
-            .where(p => p.file.path.startsWith(dirPath) && p.file.path !== currentPath);
-            
-        // Separate files in exact same folder vs subfolders
-        const exactFolder = [];
-        const subFolders = [];
+    getFilesByFolderDistance({ dv, currentPath, maxDistance = 3 }) {
+        const cacheKey = this.getCacheKey(`distance::${currentPath}::${maxDistance}`);
+        if (this.relationsCache.has(cacheKey)) {
+            this.cacheStats.hits++;
+            return this.relationsCache.get(cacheKey);
+        }
+        this.cacheStats.misses++;
         
-        allSamePathFiles.forEach(file => {
-            const fileDepth = file.file.path.split('/').length - 1; // Subtract 1 for filename
-            if (fileDepth === currentDepth) {
-                exactFolder.push(file);
-            } else {
-                subFolders.push(file);
+        const folderOf = path => path.split('/').slice(0, -1).join('/');
+        const currentFolder = folderOf(currentPath);
+        
+        const neighbours = [];
+        this.getPages(dv).forEach(p => {
+            if (p.file.path === currentPath) return;
+            const { distance, sharedDepth } = this.getFolderDistance(currentFolder, folderOf(p.file.path));
+            if (distance <= maxDistance) {
+                neighbours.push({ page: p, distance, sharedDepth });
             }
         });
+        neighbours.sort((a, b) => a.distance - b.distance);
+        
+        this.relationsCache.set(cacheKey, neighbours);
+        return neighbours;
+    }
+
+    /**
+     * Resolves matchCriteria into clauses with the actual values to match on.
+     * 
+     * Flat criteria ({ field: spec }) are all "should" clauses. Structured criteria group fields as
+     * { must: {...}, should: {...}, mustNot: {...} }. Each spec is true (current page's value),
+     * an explicit value or array, null/false (ignored), or an object:
+     * { value, weight, match, mode, ...comparator options } or { exists: true|false, weight }.
+     * Aliases resolve to their canonical field, and the field's schema settings (match, weight,
+     * tolerance...) apply unless the spec overrides them.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.matchCriteria - Flat or structured criteria
+     * @param {Object} params.current - Page whose values resolve `true` specs
+     * @param {Object} params.schema - Schema providing aliases and field settings (default: active schema)
+     * @returns {Array} Array of clauses: { field, occur, targetValue, targetValues, weight, matchOptions, mode, exists }
+     */
+    resolveCriteria({ matchCriteria, current, schema = this.schema || this.getDefaultSchema() }) {
+        const isStructured = ["must", "should", "mustNot"].some(key => key in matchCriteria);
+        const groups = isStructured ? 
+            { must: matchCriteria.must || {}, should: matchCriteria.should || {}, mustNot: matchCriteria.mustNot || {} } : 
+            { must: {}, should: matchCriteria, mustNot: {} };
+        
+        const clauses = [];
+        Object.entries(groups).forEach(([occur, criteria]) => {
+            Object.keys(criteria).forEach(name => {
+                const field = schema.aliases.get(name) || name;
+                let criteriaValue = criteria[name];
+                if (criteriaValue === null || criteriaValue === false) {
+                    // Ignore this field
+                    return;
+                }
+                
+                // Schema settings for the field, overridden by the spec's own options
+                const { aliases, synonyms, ...fieldSettings } = schema.fields[field] || {};
+                const isExtended = criteriaValue && typeof criteriaValue === 'object' && !Array.isArray(criteriaValue) && 
+                    ('value' in criteriaValue || 'exists' in criteriaValue);
+                if (Object.keys(fieldSettings).length > 0) {
+                    criteriaValue = isExtended ? 
+                        { ...fieldSettings, ...criteriaValue } : 
+                        { ...fieldSettings, value: criteriaValue };
+                }
+                
+                const clause = { 
+                    field, 
+                    occur, 
+                    targetValue: undefined, 
+                    targetValues: [], 
+                    weight: 1, 
+                    matchOptions: { match: "exact" }, 
+                    mode: "any", 
+                    exists: null 
+                };
+                
+                // Extended form: { value, weight, match, mode, ...comparator options } or { exists, weight }
+                if (criteriaValue && typeof criteriaValue === 'object' && !Array.isArray(criteriaValue) && 
+                    ('value' in criteriaValue || 'exists' in criteriaValue)) {
+                    const { value, weight, mode, exists, ...matchOptions } = criteriaValue;
+                    clause.weight = weight !== undefined ? weight : 1;
+                    clause.mode = mode === "all" ? "all" : "any";
+                    clause.matchOptions = { match: "exact", ...matchOptions };
+                    if (exists !== undefined) {
+                        clause.exists = Boolean(exists);
+                        clauses.push(clause);
+                        return;
+                    }
+                    criteriaValue = value;
+                }
+                
+                if (criteriaValue === null || criteriaValue === false) {
+                    // Ignore this field
+                    return;
+                }
+                
+                // true: use current page's value, otherwise use explicit value; links are compared by path
+                const targetValue = criteriaValue === true ? this.getFieldValue(current, field) : criteriaValue;
+                const normalize = value => this.normalizeFieldValue(value, current.file.path, field);
+                clause.targetValue = Array.isArray(targetValue) ? targetValue.map(normalize) : normalize(targetValue);
+                if (Array.isArray(clause.matchOptions.order)) {
+                    clause.matchOptions.order = clause.matchOptions.order.map(normalize);
+                }
+                clause.targetValues = (Array.isArray(clause.targetValue) ? clause.targetValue : [clause.targetValue])
+                    .filter(v => v !== undefined && v !== null && v !== '');
+                clauses.push(clause);
+            });
+        });
+        
+        return clauses;
+    }
+
+    /**
+     * Tests a page against a single clause from resolveCriteria()
+     * 
+     * @param {Object} page - A DataView page
+     * @param {Object} clause - A resolved clause
+     * @returns {boolean} True if the page holds the field (exists clauses), or matches any/all
+     *   of the target values with the clause's comparator
+     */
+    matchesClause(page, clause) {
+        const pageValues = this.getFieldValues(page, clause.field);
+        if (clause.exists !== null) {
+            return (pageValues.length > 0) === clause.exists;
+        }
+        
+        const matched = clause.targetValues.filter(target => 
+            pageValues.some(value => this.compareValues(target, value, clause.matchOptions) > 0));
+        return clause.mode === "all" ? 
+            matched.length === clause.targetValues.length : 
+            matched.length > 0;
+    }
+
+    /**
+     * Creates a leveled debug logger. Each step is recorded as data (its title, data and entries),
+     * so a run can be rendered, inspected or compared with another run.
+     * 
+     * Levels, each including the previous ones:
+     * - "off": records nothing
+     * - "info": steps, counts and summaries
+     * - "verbose": parameters, file lists, score breakdowns and the results table
+     * - "trace": every matched value and rejected candidate
+     * 
+     * Sinks, used by flush():
+     * - "console": collapsed console groups, one per step
+     * - "callout": a collapsed callout in the note (needs dv)
+     * - "trace": nothing is rendered; read the steps with getTrace()
+     * 
+     * @param {Object} [options={}] - Logger options
+     * @param {string} [options.level="info"] - "off", "info", "verbose" or "trace"
+     * @param {string} [options.sink="console"] - "console", "callout" or "trace"
+     * @param {Object} [options.dv] - DataView API object, for the callout sink
+     * @param {string} [options.title="ConceptManager"] - Title of the console group or callout
+     * @returns {Object} Logger with step(), info(), verbose(), trace(), list(), table(), enabled(), getTrace() and flush()
+     * 
+     * @example
+     * // Keep the trace of a run to compare it with the next one
+     * const logger = ConceptManager.createLogger({ level: "trace", sink: "trace" });
+     * ConceptManager.getRelatedConcepts({ dv, debug: logger });
+     * const { steps } = logger.getTrace();   // [{ step: 1, title: "Parameters", data: {...}, entries: [...] }, ...]
+     */
+    createLogger({ level = "info", sink = "console", dv = null, title = "ConceptManager" } = {}) {
+        const levels = ["off", "info", "verbose", "trace"];
+        const threshold = Math.max(levels.indexOf(level), 0);
+        const steps = [];
+        
+        const enabled = entryLevel => threshold > 0 && levels.indexOf(entryLevel) <= threshold;
+        const add = (entryLevel, entry) => {
+            if (!enabled(entryLevel)) return;
+            if (steps.length === 0) logger.step("Log");
+            steps[steps.length - 1].entries.push({ level: entryLevel, ...entry });
+        };
+        const cell = value => value === undefined || value === null ? '' : String(value);
+        
+        const logger = {
+            level: levels[threshold],
+            sink,
+            enabled,
+            step(stepTitle, data = {}) {
+                const step = { step: steps.length + 1, title: stepTitle, data, entries: [] };
+                if (threshold > 0) steps.push(step);
+                return step;
+            },
+            info(message, data) { add("info", { message, data }); },
+            verbose(message, data) { add("verbose", { message, data }); },
+            trace(message, data) { add("trace", { message, data }); },
+            list(entryLevel, items) { add(entryLevel, { list: Array.from(items, cell) }); },
+            table(entryLevel, columns, rows) { add(entryLevel, { table: { columns, rows: rows.map(row => row.map(cell)) } }); },
+            getTrace() { return { title, level: levels[threshold], steps }; },
+            flush() {
+                if (steps.length === 0 || sink === "trace") return logger.getTrace();
+                
+                if (sink === "callout" && dv) {
+                    // Table cells escape "|", which also separates a link from its display text
+                    const row = cells => `> | ${cells.map(c => c.replace(/\|/g, '\\|')).join(' | ')} |`;
+                    const lines = [`> [!bug]- 🐛 DEBUG: ${title}`];
+                    steps.forEach(step => {
+                        lines.push('>', `> **Step ${step.step}: ${step.title}**`);
+                        // Consecutive messages share a paragraph, one per line; lists and tables get their own
+                        step.entries.forEach((entry, i) => {
+                            const previous = step.entries[i - 1];
+                            if (entry.list || entry.table || !previous || previous.list || previous.table) {
+                                lines.push('>');
+                            }
+                            if (entry.list) {
+                                entry.list.forEach(item => lines.push(`> - ${item}`));
+                            } else if (entry.table) {
+                                lines.push(row(entry.table.columns), row(entry.table.columns.map(() => '---')));
+                                entry.table.rows.forEach(cells => lines.push(row(cells)));
+                            } else {
+                                lines.push(`> ${entry.message}`);
+                            }
+                        });
+                    });
+                    dv.paragraph(lines.join('\n'));
+                } else {
+                    console.groupCollapsed(`🐛 DEBUG: ${title}`);
+                    steps.forEach(step => {
+                        console.groupCollapsed(`Step ${step.step}: ${step.title}`);
+                        step.entries.forEach(entry => {
+                            if (entry.list) {
+                                console.log(entry.list.join('\n'));
+                            } else if (entry.table) {
+                                console.table(entry.table.rows.map(cells => 
+                                    Object.fromEntries(entry.table.columns.map((column, i) => [column, cells[i]]))));
+                            } else if (entry.data !== undefined) {
+                                console.log(entry.message, entry.data);
+                            } else {
+                                console.log(entry.message);
+                            }
+                        });
+                        console.groupEnd();
+                    });
+                    console.groupEnd();
+                }
+                return logger.getTrace();
+            }
+        };
+        return logger;
+    }
+
+    /**
+     * Turns a debug parameter into a logger
+     * 
+     * @param {boolean|string|Object} debug - false, true ("verbose"), a level, logger options or a logger
+     * @param {Object} [options={}] - Defaults for new loggers
+     * @param {Object} [options.dv] - DataView API object: new loggers write a callout when given, else to the console
+     * @param {string} [options.title] - Title of new loggers
+     * @returns {Object|null} The logger, or null when debugging is off
+     */
+    getLogger(debug, { dv = null, title } = {}) {
+        if (!debug || debug === "off") return null;
+        if (typeof debug.step === 'function') return debug;
         
-        return { exactFolder, subFolders };
+        const defaults = { level: "verbose", sink: dv ? "callout" : "console", dv, title };
+        const options = typeof debug === 'string' ? { level: debug } : (typeof debug === 'object' ? debug : {});
+        return this.createLogger({ ...defaults, ...options });
     }
 
     /**
      * Main method for finding related concepts and calculating their relationship strength
      * Uses a flexible matching system where you can specify any frontmatter fields to match on.
+     * Scoring runs in scoreConcepts(), which also works without DataView; this method adds the debug output.
      * 
      * Scoring system:
-     * 1. Frontmatter field matching: 2 points each for matching any specified frontmatter fields
-     * 2. Path proximity (optional): 2 points for files in exact same folder, 1 point for files in subfolders  
+     * 1. Frontmatter field matching: scoreMultiplier × field weight points for each matching value
+     *    (× the value's rarity when scoringMode is "idf")
+     * 2. Path proximity (optional): pathWeights.exactFolder points for files in exact same folder,
+     *    pathWeights.subFolders points for files in subfolders (default: 2 and 1).
+     *    With pathOptions.model "distance": pathWeights.exactFolder points × decay(folder distance)
+     *    for files in any folder within pathOptions.maxDistance (parents, subfolders, siblings)
+     * 3. Link graph (optional): linkWeights.links points for a direct link in either direction,
+     *    linkWeights.sharedOutlinks / sharedInlinks points × the share of common link targets / sources
+     * 4. Content similarity (optional): contentWeight points × the TF-IDF cosine similarity of the
+     *    note texts (see updateContentIndex())
+     * 5. Custom scorer (optional): a 0-1 score from the scorer callback × scorerWeight
      * 
      * @param {Object} params - Parameters object
      * @param {Object} params.dv - DataView API object
      * @param {Object} params.matchCriteria - Object specifying which frontmatter fields to match on
+     *   - Flat form { field: spec }: every field scores points (any match)
+     *   - Structured form { must: {...}, should: {...}, mustNot: {...} }:
+     *       must: pages must match every field (and score on it)
+     *       should: fields score points
+     *       mustNot: pages matching any field are excluded
      *   - Key: frontmatter field name (e.g., 'type', 'subject', 'level', 'domain')  
      *   - Value: true (use current page's value), string (explicit value), or null/false (ignore)
-     *   - If empty, defaults to: { subject: true, type: true, domain: true }
+     *   - Value can also be { value, weight, match, separator, tolerance, order }:
+     *       weight multiplies the field's points (default: 1)
+     *       match is "exact" (default), "hierarchical" (nested tags and other slash-delimited values),
+     *       "numeric", "ordinal", "date" or a comparator function; all but "exact" can earn
+     *       partial credit (see compareValues())
+     *       separator splits hierarchical values into levels (default: "/")
+     *       tolerance is the largest numeric, ordinal or date (days) distance earning credit
+     *       order lists the values of an ordinal field, lowest first
+     *       mode is "any" (default: one target value must match) or "all" (every target value must match)
+     *   - Value can also be { exists: true|false, weight } to check whether the field is set
+     *   - Nested fields such as file.tags and file.etags can be used as keys
+     *   - If empty, defaults to the schema's criteria for the page's type, else
+     *     { must: { subject: true, domain: true }, should: { type: true } } (see getDefaultCriteria())
      * @param {boolean|string} params.includePath - Path scoring mode:
      *   - true: Include path scoring (2 points same folder, 1 point subfolders) - DEFAULT
      *   - false: Disable path scoring completely
@@ -153,8 +2354,51 @@ class ConceptManager {
      * @param {boolean} params.strictMaxResults - Apply max results limit strictly (default: false). 
      *   If false, continues showing results with same confidence score as the last included result.
      * @param {number} params.scoreMultiplier - Points awarded per matching frontmatter value (default: 1.5)
-     * @param {boolean} params.debug - Show detailed debug output (default: false)
-     * @returns {Array} Array of related concepts with scores, sorted by total score
+     * @param {string} params.scoringMode - How matching values are counted (default: "count"):
+     *   - "count": every matching value earns the same points
+     *   - "idf": each value's points are scaled by its rarity across the vault (BM25 IDF),
+     *     so sharing a value held by a few pages counts more than sharing one held by thousands
+     * @param {Object} params.pathWeights - Path proximity points: { exactFolder: 2, subFolders: 1 }
+     * @param {Object} params.pathOptions - Path proximity model:
+     *   - model: "folder" (same folder / subfolders, default) or "distance" (folder tree distance)
+     *   - maxDistance: furthest folder distance scored by the distance model (default: 3)
+     *   - decay: "linear" (1 - distance / (maxDistance + 1), default), "exponential" (0.5^distance),
+     *     or a function (distance, maxDistance) => 0-1
+     *   - includeFolders: globs of folders that can earn path points (default: all)
+     *   - excludeFolders: globs of folders that never earn path points (default: none)
+     * @param {Object} params.linkWeights - Link graph points, all disabled by default:
+     *   { links: 0, sharedOutlinks: 0, sharedInlinks: 0 }
+     * @param {number} params.contentWeight - Points for identical note texts; 0 disables content similarity (default: 0)
+     * @param {Object} params.contentOptions - Content similarity options: 
+     *   { minSimilarity: 0.1, maxTerms: 50 }, see getContentSimilarities()
+     * @param {Function} params.scorer - Optional custom scorer called for each candidate with
+     *   { concept, current, scores, resolvedCriteria }; returns a score between 0 and 1
+     * @param {number} params.scorerWeight - Points awarded for a custom score of 1 (default: 1)
+     * @param {Object} params.exclude - Pages left out of the results, whatever their score:
+     *   - self: the current page (default: true)
+     *   - folders: globs of folders, e.g. ["Templates/**", "Daily/**"] (default: none)
+     *   - values: field values, as mustNot criteria, e.g. { status: "archived" } (default: none)
+     *   - linked: pages the current page already links to (default: false)
+     * @param {number} params.diversity - MMR re-ranking between 0 (confidence only, default) and 1:
+     *   each next result trades confidence against its similarity (same folders, same matched values)
+     *   to the results already picked, among the 3 × maxResults most confident. maxResults then cuts strictly.
+     * @param {Object|string} params.page - Page, or path of the page, to find related concepts for (default: dv.current())
+     * @param {boolean|string|Object} params.debug - Debug output, recorded step by step (default: false):
+     *   - true: "verbose" steps in a collapsed callout in the note
+     *   - a level: "info", "verbose" or "trace" (see createLogger())
+     *   - logger options: { level, sink }, with sink "callout", "console" or "trace"; with "trace" the
+     *     results carry the steps as results.trace
+     *   - a logger from createLogger(), flushed by the caller; its getTrace() returns the steps as data
+     * @returns {Array|Promise<Array>} Array of related concepts, sorted by confidence, each with:
+     *   - concept: the related page
+     *   - confidence: totalScore / maxScore as a percentage
+     *   - inSamePath: in the same folder or a subfolder
+     *   - linked: linked to or from the current page
+     *   - scores: points per scoring dimension, e.g. { path: 2, subject: 1.5, links: 2 }
+     *   - matches: matched values per frontmatter field, e.g. { subject: [{ target, value, credit }] }
+     *   - totalScore / maxScore: the raw points behind the confidence (see explainResult())
+     *   The array itself has a trace property, from getTrace(), when debug is { sink: "trace" }.
+     *   A promise of that array while a JSON schema is still loading (see loadSchema()).
      * 
      * @example
      * // Find other hub pages with same type and subject  
@@ -181,6 +2425,55 @@ class ConceptManager {
      * })
      * 
      * @example
+     * // Weighted fields: a shared subject counts six times as much as a shared tag
+     * getRelatedConcepts({ 
+     *   dv, 
+     *   matchCriteria: {
+     *     subject: { value: true, weight: 3 },
+     *     tags: { value: true, weight: 0.5 }
+     *   },
+     *   pathWeights: { exactFolder: 1, subFolders: 0.5 }
+     * })
+     * 
+     * @example
+     * // Precise rules: same subject required, shared tags score, archived pages excluded
+     * getRelatedConcepts({ 
+     *   dv, 
+     *   matchCriteria: {
+     *     must: { subject: true, summary: { exists: true } },
+     *     should: { type: true, tags: { value: true, mode: "all" } },
+     *     mustNot: { status: "archived" }
+     *   }
+     * })
+     * 
+     * @example
+     * // Graded levels: level 3 earns 2/3 of the level points against level 2 or 4
+     * getRelatedConcepts({ 
+     *   dv, 
+     *   matchCriteria: {
+     *     subject: true,
+     *     level: { value: true, match: "numeric", tolerance: 2 },
+     *     difficulty: { value: true, match: "ordinal", order: ["beginner", "intermediate", "advanced"] }
+     *   }
+     * })
+     * 
+     * @example
+     * // Folder distance: siblings and parents earn decaying path points, archives earn none
+     * getRelatedConcepts({ 
+     *   dv, 
+     *   pathOptions: { model: "distance", maxDistance: 4, decay: "exponential", excludeFolders: ["Archive/**"] }
+     * })
+     * 
+     * @example
+     * // Nested tags: #trading/technical/rsi earns 2/3 of the tag points against #trading/technical/macd
+     * getRelatedConcepts({ 
+     *   dv, 
+     *   matchCriteria: {
+     *     "file.etags": { value: true, match: "hierarchical" }
+     *   }
+     * })
+     * 
+     * @example
      * // Traditional relation-based matching (backwards compatible)
      * getRelatedConcepts({ 
      *   dv, 
@@ -191,8 +2484,38 @@ class ConceptManager {
      *   debug: true 
      * })
      */
-    getRelatedConcepts({ 
-        dv, 
+    getRelatedConcepts({ dv, debug = false, ...options }) {
+        // Scoring with the defaults until a JSON schema is read would depend on timing
+        if (!this.isSchemaReady()) {
+            return this.loadSchema({ dv }).then(() => this.getRelatedConcepts(...arguments));
+        }
+        return this.scoreConcepts({ ...options, source: dv, debug, output: dv });
+    }
+
+    /**
+     * Scoring core of getRelatedConcepts(): reads pages from a source instead of a live DataView
+     * and renders nothing unless given an output. Sources are DataView itself, createDataviewAdapter()
+     * or createMemoryAdapter(), so the same scoring runs in a note, in a script or in Node on a
+     * fixture vault.
+     * 
+     * @param {Object} params - The getRelatedConcepts() parameters, with source in place of dv
+     * @param {Object} params.source - Page source: dv, createDataviewAdapter(dv) or createMemoryAdapter(records)
+     * @param {Object|string} params.page - Page, or path of the page, to find related concepts for (default: source.current())
+     * @param {boolean|string|Object} params.debug - Debug output, as in getRelatedConcepts() (default: false)
+     * @param {Object} params.output - DataView API object for the callout sink (default: none, new loggers
+     *   write to the console)
+     * @returns {Array} Array of related concepts, as returned by getRelatedConcepts()
+     * 
+     * @example
+     * // Score a fixture vault without Obsidian
+     * const source = ConceptManager.createMemoryAdapter([
+     *   { path: "TA/RSI.md", frontmatter: { type: "concept", subject: "Trading" } },
+     *   { path: "TA/MACD.md", frontmatter: { type: "concept", subject: "Trading" } }
+     * ], { current: "TA/RSI.md" });
+     * const results = ConceptManager.scoreConcepts({ source, matchCriteria: { subject: true } });
+     */
+    scoreConcepts({ 
+        source, 
         matchCriteria = {}, 
         includePath = true, 
         strictPath = false, 
@@ -200,9 +2523,45 @@ class ConceptManager {
         maxResults = 10, 
         strictMaxResults = false,
         scoreMultiplier = 1.5,
-        debug = false 
+        scoringMode = "count",
+        pathWeights = {},
+        pathOptions = {},
+        linkWeights = {},
+        contentWeight = 0,
+        contentOptions = {},
+        scorer = null,
+        scorerWeight = 1,
+        exclude = {},
+        diversity = 0,
+        page = null,
+        debug = false,
+        output = null
     }) {
-        const current = dv.current();
+        const logger = this.getLogger(debug, { dv: output, title: "ConceptManager.getRelatedConcepts()" });
+        const current = page ? this.resolvePage(source, page) : source.current();
+        const schema = this.getSchema(source);
+        const pathPoints = { exactFolder: 2, subFolders: 1, ...pathWeights };
+        const pathSettings = { 
+            model: "folder", 
+            maxDistance: 3, 
+            decay: "linear", 
+            includeFolders: [], 
+            excludeFolders: [], 
+            ...pathOptions 
+        };
+        const maxPathScore = pathSettings.model === "distance" ? 
+            pathPoints.exactFolder : 
+            Math.max(pathPoints.exactFolder, pathPoints.subFolders);
+        const linkPoints = { links: 0, sharedOutlinks: 0, sharedInlinks: 0, ...linkWeights };
+        const linkDimensions = Object.keys(linkPoints).filter(dimension => linkPoints[dimension] > 0);
+        // Debug display of normalized values: as written, followed by the normalized form when it differs
+        const showValue = value => {
+            const label = this.formatValue(value);
+            return label === String(value) ? label : `${label} [${value}]`;
+        };
+        // Points per matching value: uniform, or scaled by the value's rarity in "idf" mode
+        const valuePoints = (field, value) => scoreMultiplier * 
+            (scoringMode === "idf" ? this.getValueRarity(source, field, value) : 1);
         
         // Handle includePath modes
         if (includePath === "strict") {
@@ -210,166 +2569,247 @@ class ConceptManager {
             includePath = true;
         }
         
-        // Set default matchCriteria if none provided
+        // Set default matchCriteria if none provided: the schema's criteria for the page's type
         if (Object.keys(matchCriteria).length === 0) {
-            matchCriteria = {
-                subject: true,
-                type: true,
-                domain: true
-            };
+            matchCriteria = this.getDefaultCriteria({ dv: source, page: current });
         }
         
-        // Process matchCriteria to get actual values to match on
-        const resolvedCriteria = {};
-        const searchFilters = {};
+        // Process matchCriteria into clauses with the actual values to match on
+        const clauses = this.resolveCriteria({ matchCriteria, current, schema });
         
-        Object.keys(matchCriteria).forEach(field => {
-            const criteriaValue = matchCriteria[field];
-            
-            if (criteriaValue === null || criteriaValue === false) {
-                // Ignore this field
-                return;
-            } else if (criteriaValue === true) {
-                // Use current page's value
-                resolvedCriteria[field] = current[field];
-            } else {
-                // Use explicit value
-                resolvedCriteria[field] = criteriaValue;
-            }
-            
-            // Set up search filters (for domain limiting if specified)
-            if (field === 'subject' || field === 'domain') {
-                searchFilters[field] = resolvedCriteria[field];
-            }
+        // Clauses with values to compare score points (must and should), each with its own targets,
+        // weight and comparator: a field in several clauses adds up the points of each
+        const scoringClauses = clauses.filter(clause => clause.occur !== "mustNot" && clause.exists === null);
+        // Target values by field, for custom scorers and the debug output
+        const resolvedCriteria = {};
+        scoringClauses.forEach(clause => {
+            const previous = resolvedCriteria[clause.field];
+            resolvedCriteria[clause.field] = previous === undefined ? 
+                clause.targetValue : 
+                [].concat(previous, clause.targetValue).filter(v => v !== undefined && v !== null);
         });
         
-        if (debug) {
-            dv.header(3, "🐛 DEBUG: ConceptManager.getRelatedConcepts()");
-            dv.paragraph(`**Current file:** ${current.file.path}`);
-            dv.paragraph(`**Parameters:**`);
-            dv.paragraph(`  • includePath: ${includePath}`);
-            dv.paragraph(`  • strictPath: ${strictPath}`);
-            dv.paragraph(`  • minScore: ${minScore}`);
-            dv.paragraph(`  • maxResults: ${maxResults}`);
-            dv.paragraph(`  • strictMaxResults: ${strictMaxResults}`);
-            dv.paragraph(`**Current frontmatter values:**`);
+        // Exclusions drop pages whatever their score; excluded values work like mustNot clauses.
+        // The schema note configures the vault and is never a related concept
+        const excludeSettings = { self: true, folders: [], values: {}, linked: false, ...exclude };
+        const excludedValueClauses = this.resolveCriteria({ matchCriteria: { mustNot: excludeSettings.values }, current, schema })
+            .filter(clause => clause.exists !== null || clause.targetValues.length > 0);
+        const linkedPaths = new Set(excludeSettings.linked ? this.getFieldValues(current, "file.outlinks") : []);
+        const isExcluded = concept => 
+            (excludeSettings.self && concept.file.path === current.file.path) || 
+            (schema.path && concept.file.path === schema.path) || 
+            !this.isFolderAllowed(concept.file.path.split('/').slice(0, -1).join('/'), { excludeFolders: excludeSettings.folders }) || 
+            linkedPaths.has(concept.file.path) || 
+            excludedValueClauses.some(clause => this.matchesClause(concept, clause));
+        
+        // Existence checks score points too, but only for pages found by other means
+        const existsClauses = clauses.filter(clause => clause.occur !== "mustNot" && clause.exists !== null);
+        
+        // Required and excluded clauses filter the candidates; clauses without values to compare are skipped
+        const isApplicable = clause => clause.exists !== null || clause.targetValues.length > 0;
+        const requiredClauses = clauses.filter(clause => clause.occur === "must" && isApplicable(clause));
+        const excludedClauses = clauses.filter(clause => clause.occur === "mustNot" && isApplicable(clause));
+        
+        if (logger) {
+            logger.step("Parameters", { 
+                file: current.file.path, 
+                includePath, 
+                strictPath, 
+                minScore, 
+                maxResults, 
+                strictMaxResults, 
+                scoreMultiplier, 
+                scoringMode, 
+                pathWeights: pathPoints, 
+                pathOptions: { ...pathSettings, decay: typeof pathSettings.decay === 'function' ? 'custom' : pathSettings.decay }, 
+                linkWeights: linkPoints, 
+                contentWeight, 
+                scorer: scorer ? { weight: scorerWeight } : null, 
+                schema: schema.path || schema.source, 
+                exclude: excludeSettings, 
+                diversity 
+            });
+            logger.info(`**Current file:** ${current.file.path}`);
+            logger.verbose(`  • includePath: ${includePath}`);
+            logger.verbose(`  • strictPath: ${strictPath}`);
+            logger.verbose(`  • minScore: ${minScore}`);
+            logger.verbose(`  • maxResults: ${maxResults}`);
+            logger.verbose(`  • strictMaxResults: ${strictMaxResults}`);
+            logger.verbose(`  • scoreMultiplier: ${scoreMultiplier}`);
+            logger.verbose(`  • scoringMode: ${scoringMode}`);
+            logger.verbose(`  • pathWeights: exactFolder=${pathPoints.exactFolder}, subFolders=${pathPoints.subFolders}`);
+            logger.verbose(`  • pathOptions: model=${pathSettings.model}, maxDistance=${pathSettings.maxDistance}, decay=${typeof pathSettings.decay === 'function' ? 'custom' : pathSettings.decay}, includeFolders=${pathSettings.includeFolders.join(', ') || 'all'}, excludeFolders=${pathSettings.excludeFolders.join(', ') || 'none'}`);
+            logger.verbose(`  • linkWeights: ${Object.entries(linkPoints).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+            logger.verbose(`  • contentWeight: ${contentWeight}`);
+            logger.verbose(`  • scorer: ${scorer ? `custom (weight ${scorerWeight})` : 'none'}`);
+            logger.verbose(`  • schema: ${schema.source}${schema.path ? ` (${schema.path})` : ''}`);
+            logger.verbose(`  • exclude: self=${excludeSettings.self}, folders=${excludeSettings.folders.join(', ') || 'none'}, values=${Object.keys(excludeSettings.values).join(', ') || 'none'}, linked=${excludeSettings.linked}`);
+            logger.verbose(`  • diversity: ${diversity}`);
+            logger.verbose(`**Current frontmatter values:**`);
             Object.keys(current).forEach(key => {
                 if (typeof current[key] !== 'function' && key !== 'file') {
-                    dv.paragraph(`  • ${key}: ${Array.isArray(current[key]) ? current[key].join(', ') : current[key]}`);
+                    logger.verbose(`  • ${key}: ${Array.isArray(current[key]) ? current[key].join(', ') : current[key]}`);
                 }
             });
-            dv.paragraph(`**Match criteria resolved:**`);
-            Object.keys(resolvedCriteria).forEach(field => {
-                const value = resolvedCriteria[field];
-                const displayValue = Array.isArray(value) ? value.join(', ') : (value || 'undefined');
-                dv.paragraph(`  • ${field}: ${displayValue}`);
+            
+            logger.step("Resolving match criteria", { 
+                clauses: clauses.map(clause => ({ 
+                    occur: clause.occur, 
+                    field: clause.field, 
+                    values: clause.exists !== null ? null : clause.targetValues.map(String), 
+                    exists: clause.exists, 
+                    weight: clause.weight, 
+                    match: typeof clause.matchOptions.match === 'function' ? 'custom' : clause.matchOptions.match, 
+                    mode: clause.mode 
+                })) 
+            });
+            clauses.forEach(clause => {
+                const value = clause.targetValue;
+                const displayValue = clause.exists !== null ? 
+                    (clause.exists ? 'exists' : 'does not exist') : 
+                    (Array.isArray(value) ? value.map(showValue).join(', ') : (value ? showValue(value) : 'undefined'));
+                const matchMode = typeof clause.matchOptions.match === 'function' ? 'custom' : clause.matchOptions.match;
+                logger.info(`  • ${clause.occur} ${clause.field}: ${displayValue} (weight ${clause.weight}, ${matchMode} match, ${clause.mode} of)`);
             });
-            dv.paragraph("---");
         }
         
         // Get files in same directory structure (if path scoring is enabled)
         const relatedConcepts = new Map();
         
-        if (includePath) {
-            const pathFiles = this.getFilesInSamePath({ dv, currentPath: current.file.path });
+        const currentFolder = current.file.path.split('/').slice(0, -1).join('/');
+        const isPathAllowed = page => this.isFolderAllowed(page.file.path.split('/').slice(0, -1).join('/'), pathSettings);
+        
+        if (includePath && pathSettings.model === "distance") {
+            const decay = typeof pathSettings.decay === 'function' ? 
+                pathSettings.decay : 
+                (distance, maxDistance) => pathSettings.decay === "exponential" ? 
+                    Math.pow(0.5, distance) : 
+                    1 - distance / (maxDistance + 1);
+            
+            const neighbours = this.getFilesByFolderDistance({ 
+                dv: source, 
+                currentPath: current.file.path, 
+                maxDistance: pathSettings.maxDistance 
+            }).filter(({ page }) => isPathAllowed(page));
+            
+            neighbours.forEach(({ page: concept, distance, sharedDepth }) => {
+                const pathScore = pathPoints.exactFolder * Math.min(Math.max(decay(distance, pathSettings.maxDistance), 0), 1);
+                relatedConcepts.set(concept.file.path, { 
+                    concept, 
+                    scores: new Map([["path", pathScore]]),
+                    // Same folder or below, as in the folder model
+                    inSamePath: sharedDepth === (currentFolder ? currentFolder.split('/').length : 0)
+                });
+            });
+            
+            if (logger) {
+                logger.step("Finding files by folder distance", { 
+                    folder: currentFolder, 
+                    maxDistance: pathSettings.maxDistance, 
+                    found: neighbours.length 
+                });
+                logger.info(`Directory path: ${currentFolder}`);
+                logger.info(`Files found within distance ${pathSettings.maxDistance}: ${neighbours.length}`);
+                for (let distance = 0; distance <= pathSettings.maxDistance; distance++) {
+                    const atDistance = neighbours.filter(n => n.distance === distance);
+                    if (atDistance.length > 0) {
+                        logger.verbose(`**Distance ${distance}** (path score ${relatedConcepts.get(atDistance[0].page.file.path).scores.get("path").toFixed(2)}):`);
+                        logger.list("verbose", atDistance.map(n => n.page.file.path));
+                    }
+                }
+            }
+        } else if (includePath) {
+            const samePathFiles = this.getFilesInSamePath({ dv: source, currentPath: current.file.path });
+            const pathFiles = {
+                exactFolder: samePathFiles.exactFolder.filter(isPathAllowed),
+                subFolders: samePathFiles.subFolders.filter(isPathAllowed)
+            };
         
-        if (debug) {
-            dv.paragraph(`**Step 1: Finding files in same directory path**`);
-            dv.paragraph(`Directory path: ${current.file.path.split('/').slice(0, -1).join('/')}`);
-                dv.paragraph(`Files found - Exact folder: ${pathFiles.exactFolder.length}, Subfolders: ${pathFiles.subFolders.length}`);
+            if (logger) {
+                logger.step("Finding files in same directory path", { 
+                    folder: currentFolder, 
+                    exactFolder: pathFiles.exactFolder.length, 
+                    subFolders: pathFiles.subFolders.length 
+                });
+                logger.info(`Directory path: ${currentFolder}`);
+                logger.info(`Files found - Exact folder: ${pathFiles.exactFolder.length}, Subfolders: ${pathFiles.subFolders.length}`);
                 if (pathFiles.exactFolder.length > 0) {
-                    dv.paragraph("**Exact folder files:**");
-                    dv.list(pathFiles.exactFolder.map(f => f.file.path));
+                    logger.verbose("**Exact folder files:**");
+                    logger.list("verbose", pathFiles.exactFolder.map(f => f.file.path));
                 }
                 if (pathFiles.subFolders.length > 0) {
-                    dv.paragraph("**Subfolder files:**");
-                    dv.list(pathFiles.subFolders.map(f => f.file.path));
+                    logger.verbose("**Subfolder files:**");
+                    logger.list("verbose", pathFiles.subFolders.map(f => f.file.path));
+                }
             }
-            dv.paragraph("---");
-        }
         
             // Add path-based scores
-            // 2 points for files in exact same folder
+            // pathPoints.exactFolder points for files in exact same folder (default: 2)
             pathFiles.exactFolder.forEach(concept => {
             const conceptId = concept.file.path;
             relatedConcepts.set(conceptId, { 
                 concept, 
-                    scores: new Map([["path", 2]]) // 2 points for exact same folder
+                    scores: new Map([["path", pathPoints.exactFolder]]),
+                    inSamePath: true
                 });
             });
             
-            // 1 point for files in subfolders
+            // pathPoints.subFolders points for files in subfolders (default: 1)
             pathFiles.subFolders.forEach(concept => {
                 const conceptId = concept.file.path;
                 relatedConcepts.set(conceptId, { 
                     concept, 
-                    scores: new Map([["path", 1]]) // 1 point for subfolders
+                    scores: new Map([["path", pathPoints.subFolders]]),
+                    inSamePath: true
                 });
             });
             
-            if (debug) {
-                dv.paragraph(`**Step 2: Adding path-based scores**`);
-                dv.paragraph(`Added ${pathFiles.exactFolder.length} concepts with path score of 2 (exact same folder)`);
-                dv.paragraph(`Added ${pathFiles.subFolders.length} concepts with path score of 1 (subfolders)`);
-                dv.paragraph("---");
+            if (logger) {
+                logger.step("Adding path-based scores", { exactFolder: pathPoints.exactFolder, subFolders: pathPoints.subFolders });
+                logger.info(`Added ${pathFiles.exactFolder.length} concepts with path score of ${pathPoints.exactFolder} (exact same folder)`);
+                logger.info(`Added ${pathFiles.subFolders.length} concepts with path score of ${pathPoints.subFolders} (subfolders)`);
             }
         }
     
         // Process each frontmatter field criteria
-        let stepCounter = strictPath ? 1 : 3; // Step numbering starts at 3 if we already did path scoring
-        
-        Object.keys(resolvedCriteria).forEach(field => {
-            const targetValue = resolvedCriteria[field];
+        scoringClauses.forEach(clause => {
+            const { field, targetValue } = clause;
             
             if (!targetValue) {
-                if (debug) {
-                    dv.paragraph(`**Step ${stepCounter}: Checking frontmatter field '${field}'**`);
-                    dv.paragraph(`❌ Target value is null/undefined for '${field}' - skipping`);
-                    stepCounter++;
+                if (logger) {
+                    logger.step(`Checking frontmatter field '${field}'`, { field, skipped: true });
+                    logger.info(`❌ Target value is null/undefined for '${field}' - skipping`);
                 }
                 return;
             }
     
             const targetValues = Array.isArray(targetValue) ? targetValue : [targetValue];
+            const fieldStep = logger ? 
+                logger.step(`Checking frontmatter field '${field}'`, { field, targetValues: targetValues.map(String) }) : 
+                null;
             
-            if (debug) {
-                dv.paragraph(`**Step ${stepCounter}: Checking frontmatter field '${field}'**`);
-                dv.paragraph(`Target value(s) for '${field}': ${targetValues.join(', ')}`);
-                dv.paragraph(`Looking for files that match these values...`);
+            if (logger) {
+                logger.info(`Target value(s) for '${field}': ${targetValues.map(showValue).join(', ')}`);
+                if (scoringMode === "idf") {
+                    logger.verbose(`Value rarity: ${targetValues.map(v => `${showValue(v)}=${this.getValueRarity(source, field, v).toFixed(2)}`).join(', ')}`);
+                }
             }
             
-            // Find all files that match this criteria
-            const matchingConcepts = dv.pages()
-                .where(p => {
-                    // Apply subject filter if it's in searchFilters (handle arrays properly)
-                    if (searchFilters.subject) {
-                        const searchSubjects = Array.isArray(searchFilters.subject) ? searchFilters.subject : [searchFilters.subject];
-                        if (!searchSubjects.includes(p.subject)) return false;
-                    }
-                    // Apply domain filter if it's in searchFilters (handle arrays properly)
-                    if (searchFilters.domain) {
-                        const searchDomains = Array.isArray(searchFilters.domain) ? searchFilters.domain : [searchFilters.domain];
-                        if (!searchDomains.includes(p.domain)) return false;
-                    }
-                    
-                    // Check if this field matches
-                    const pageValue = p[field];
-                    if (!pageValue) return false;
-                    
-                    const pageValues = Array.isArray(pageValue) ? pageValue : [pageValue];
-                    // Check if any of the target values match any of the page values
-                    return targetValues.some(tv => pageValues.includes(tv));
+            // Find all files that match this criteria (candidates come from the cached field index)
+            const fieldMatches = this.matchFieldValues({ 
+                dv: source, 
+                field, 
+                targetValues, 
+                matchOptions: clause.matchOptions 
             });
+            // "all" mode: the page must match every target value to score on this field
+            const matchingConcepts = Array.from(fieldMatches.values())
+                .filter(({ matches }) => clause.mode !== "all" || matches.length === targetValues.length)
+                .map(({ page }) => page);
             
-            if (debug) {
-                dv.paragraph(`Found ${matchingConcepts.length} files matching '${field}' criteria.`);
-                // TMI: Uncomment to see the matching values and their scores   
-                // if (matchingConcepts.length > 0) {
-                //     matchingConcepts.forEach(c => {
-                //         const pageValues = Array.isArray(c[field]) ? c[field] : [c[field]];
-                //         dv.paragraph(`  • ${c.file.name}: ${field} = ${pageValues.join(', ')}`);
-                //     });
-                // }
+            if (logger) {
+                fieldStep.data.found = matchingConcepts.length;
+                logger.info(`Found ${matchingConcepts.length} files matching '${field}' criteria.`);
             }
     
             // Add scores for each matching concept
@@ -378,33 +2818,181 @@ class ConceptManager {
                 if (!relatedConcepts.has(conceptId)) {
                     relatedConcepts.set(conceptId, { 
                         concept, 
-                        scores: new Map([["path", 0]]) 
+                        scores: new Map([["path", 0]]),
+                        inSamePath: false
                     });
                 }
                 
-                const conceptValues = Array.isArray(concept[field]) ? 
-                    concept[field] : [concept[field]];
-                const matchingValues = targetValues.filter(v => conceptValues.includes(v));
-                relatedConcepts.get(conceptId).scores.set(field, matchingValues.length * scoreMultiplier); // points per match
-                // TMI: Uncomment to see the matching values and their scores
-                // if (debug) {
-                //     dv.paragraph(`  → ${concept.file.name}: ${matchingValues.length} matching values (${matchingValues.join(', ')}) = ${matchingValues.length * scoreMultiplier} points`); // points per match
-                // }
+                // Each target value earns its points × the credit of its best match (1 for exact matches)
+                const { matches } = fieldMatches.get(conceptId);
+                const fieldScore = matches.reduce((sum, m) => sum + m.credit * valuePoints(field, m.target), 0) * clause.weight;
+                const entry = relatedConcepts.get(conceptId);
+                entry.scores.set(field, (entry.scores.get(field) || 0) + fieldScore); // weighted points per match
+                entry.matches = { 
+                    ...entry.matches, 
+                    [field]: [...((entry.matches && entry.matches[field]) || []), ...matches.map(m => ({ ...m }))] 
+                };
+                if (logger && logger.enabled("trace")) {
+                    const matchingValues = matches.map(m => m.target);
+                    logger.trace(
+                        `  → ${concept.file.name}: ${matchingValues.length} matching values (${matchingValues.map(showValue).join(', ')}) = ${fieldScore} points`, 
+                        { page: conceptId, field, values: this.getFieldValues(concept, field).map(String), matches: entry.matches[field], points: fieldScore }
+                    );
+                }
+            });
+        });
+        
+        // Add existence check scores
+        existsClauses.forEach(clause => {
+            relatedConcepts.forEach(entry => {
+                if (this.matchesClause(entry.concept, clause)) {
+                    entry.scores.set(clause.field, (entry.scores.get(clause.field) || 0) + scoreMultiplier * clause.weight);
+                }
+            });
+        });
+        
+        // Add link graph scores
+        let linkSignals = new Map();
+        if (linkDimensions.length > 0) {
+            linkSignals = this.getLinkSignals({ dv: source, page: current });
+            
+            linkSignals.forEach((signal, conceptId) => {
+                if (!relatedConcepts.has(conceptId)) {
+                    relatedConcepts.set(conceptId, { 
+                        concept: this.getPageIndex(source).get(conceptId), 
+                        scores: new Map([["path", 0]]),
+                        inSamePath: false
+                    });
+                }
+                const scores = relatedConcepts.get(conceptId).scores;
+                linkDimensions.forEach(dimension => {
+                    if (signal[dimension] > 0) {
+                        scores.set(dimension, signal[dimension] * linkPoints[dimension]);
+                    }
+                });
             });
             
-            if (debug) {
-                dv.paragraph("---");
+            if (logger) {
+                const outlinkCount = current.file.outlinks ? current.file.outlinks.length : 0;
+                const inlinkCount = current.file.inlinks ? current.file.inlinks.length : 0;
+                logger.step("Adding link graph scores", { outlinks: outlinkCount, inlinks: inlinkCount, found: linkSignals.size });
+                logger.info(`Outlinks: ${outlinkCount}, inlinks: ${inlinkCount}`);
+                logger.info(`Found ${linkSignals.size} linked or link-sharing concepts.`);
+            }
+        }
+        
+        // Add content similarity scores
+        let contentSimilarities = null;
+        if (contentWeight > 0) {
+            contentSimilarities = this.getContentSimilarities({ page: current, ...contentOptions });
+            
+            if (contentSimilarities === null) {
+                // Not indexed yet: build the index in the background so the next render includes it
+                this.updateContentIndex({ dv: source })
+                    .catch(error => console.warn("ConceptManager: content index update failed", error));
+            } else {
+                contentSimilarities.forEach((similarity, conceptId) => {
+                    const concept = this.getPageIndex(source).get(conceptId);
+                    if (!concept) return;
+                    if (!relatedConcepts.has(conceptId)) {
+                        relatedConcepts.set(conceptId, { 
+                            concept, 
+                            scores: new Map([["path", 0]]),
+                            inSamePath: false
+                        });
+                    }
+                    relatedConcepts.get(conceptId).scores.set("content", similarity * contentWeight);
+                });
+            }
+            
+            if (logger) {
+                logger.step("Adding content similarity scores", { 
+                    indexed: this.contentIndex.docs.size, 
+                    terms: this.contentIndex.documentFrequency.size, 
+                    found: contentSimilarities === null ? null : contentSimilarities.size 
+                });
+                if (contentSimilarities === null) {
+                    logger.info(`⏳ Content index is being built (${this.contentIndex.docs.size} notes so far) - content similarity will be included on the next render`);
+                } else {
+                    logger.info(`Indexed notes: ${this.contentIndex.docs.size}, terms: ${this.contentIndex.documentFrequency.size}`);
+                    logger.info(`Found ${contentSimilarities.size} concepts with similar content.`);
+                }
+            }
+        }
+        
+        // Apply exclusions, then required (must) and excluded (mustNot) clauses to every candidate
+        const candidateCount = relatedConcepts.size;
+        relatedConcepts.forEach((entry, conceptId) => {
+            if (isExcluded(entry.concept)) {
+                relatedConcepts.delete(conceptId);
+            }
+        });
+        const excludedCount = candidateCount - relatedConcepts.size;
+        relatedConcepts.forEach((entry, conceptId) => {
+            if (!requiredClauses.every(clause => this.matchesClause(entry.concept, clause)) || 
+                excludedClauses.some(clause => this.matchesClause(entry.concept, clause))) {
+                relatedConcepts.delete(conceptId);
             }
-            stepCounter++;
         });
         
         // Calculate final scores
-        if (debug) {
-            dv.paragraph(`**Step ${stepCounter}: Calculating final scores**`);
-            dv.paragraph(`Total concepts found: ${relatedConcepts.size}`);
+        const scoreStep = logger ? 
+            logger.step("Calculating final scores", { 
+                candidates: candidateCount, 
+                excluded: excludedCount, 
+                removedByClauses: candidateCount - excludedCount - relatedConcepts.size, 
+                scored: relatedConcepts.size 
+            }) : 
+            null;
+        if (logger) {
+            logger.info(`Total concepts found: ${relatedConcepts.size} (${excludedCount} removed by exclusions, ${candidateCount - excludedCount - relatedConcepts.size} by must/mustNot clauses)`);
+        }
+        
+        // Calculate max possible score based on criteria
+        let maxPossibleScore = includePath && !strictPath ? maxPathScore : 0; // Max path score (only when path scoring is enabled)
+        
+        scoringClauses.forEach(({ field, targetValue, weight }) => {
+            if (targetValue) {
+                const targetValues = Array.isArray(targetValue) ? targetValue : [targetValue];
+                maxPossibleScore += targetValues.reduce((sum, v) => sum + valuePoints(field, v), 0) * weight; // weighted points per matching value
+            }
+        });
+        
+        // Link dimensions only count when the current page has links to compare
+        const hasOutlinks = current.file.outlinks && current.file.outlinks.length > 0;
+        const hasInlinks = current.file.inlinks && current.file.inlinks.length > 0;
+        linkDimensions.forEach(dimension => {
+            if ((dimension === "links" && (hasOutlinks || hasInlinks)) || 
+                (dimension === "sharedOutlinks" && hasOutlinks) || 
+                (dimension === "sharedInlinks" && hasInlinks)) {
+                maxPossibleScore += linkPoints[dimension];
+            }
+        });
+        
+        // Content similarity only counts once the current page is indexed
+        if (contentSimilarities !== null) {
+            maxPossibleScore += contentWeight;
+        }
+        
+        existsClauses.forEach(clause => {
+            maxPossibleScore += scoreMultiplier * clause.weight;
+        });
+        
+        if (scorer) {
+            maxPossibleScore += scorerWeight;
+        }
+        
+        if (scoreStep) {
+            scoreStep.data.maxScore = maxPossibleScore;
         }
         
-        const results = Array.from(relatedConcepts.values()).map(({ concept, scores }) => {
+        const results = Array.from(relatedConcepts.values()).map(({ concept, scores, inSamePath, matches = {} }) => {
+            // Custom scorer adds its own dimension, clamped to 0-1 before weighting
+            if (scorer) {
+                const customScore = Number(scorer({ concept, current, scores, resolvedCriteria })) || 0;
+                scores.set("custom", Math.min(Math.max(customScore, 0), 1) * scorerWeight);
+            }
+            
             const pathScore = scores.get("path") || 0;
             
             // Sum all frontmatter field scores (excluding path)
@@ -414,58 +3002,67 @@ class ConceptManager {
             
             const totalScore = pathScore + frontmatterScores;
             
-            // Calculate max possible score based on criteria
-            let maxPossibleScore = strictPath ? 0 : 2; // Max path score
-            
-            Object.keys(resolvedCriteria).forEach(field => {
-                const targetValue = resolvedCriteria[field];
-                if (targetValue) {
-                    const targetValues = Array.isArray(targetValue) ? targetValue : [targetValue];
-                    maxPossibleScore += targetValues.length * scoreMultiplier; // points per matching value
-                }
-            });
-            
             const confidence = maxPossibleScore > 0 ? (totalScore / maxPossibleScore) * 100 : 0;
             
-            if (debug) {
+            if (logger) {
                 const scoreBreakdown = Array.from(scores.entries())
                     .map(([key, score]) => `${key}=${score}`)
                     .join(', ');
+                const data = { page: concept.file.path, scores: Object.fromEntries(scores), totalScore, confidence };
+                // Candidates below minScore are only traced
                 if (confidence >= minScore * 100) {
-                    dv.paragraph(`✓ ${concept.file.name}: ${scoreBreakdown}, total=${totalScore}/${maxPossibleScore} = ${confidence.toFixed(2)}%`);
+                    logger.verbose(`✓ ${concept.file.name}: ${scoreBreakdown}, total=${totalScore}/${maxPossibleScore} = ${confidence.toFixed(2)}%`, data);
                 } else {
-                    // TMI: Uncomment to see the score breakdown
-                    // dv.paragraph(`✗ ${concept.file.name}: ${scoreBreakdown}, total=${totalScore}/${maxPossibleScore} = ${confidence.toFixed(2)}%`);
+                    logger.trace(`✗ ${concept.file.name}: ${scoreBreakdown}, total=${totalScore}/${maxPossibleScore} = ${confidence.toFixed(2)}%`, data);
                 }
             }
             
             return { 
                 concept, 
                 confidence,
-                inSamePath: pathScore > 0 
+                inSamePath,
+                linked: linkSignals.has(concept.file.path) && linkSignals.get(concept.file.path).links > 0,
+                scores: Object.fromEntries(scores),
+                matches,
+                totalScore,
+                maxScore: maxPossibleScore
             };
         });
         
-        if (debug) {
-            dv.paragraph("---");
-            dv.paragraph(`**Step ${stepCounter + 1}: Applying filters**`);
-            dv.paragraph(`Search filters: ${Object.keys(searchFilters).length > 0 ? 
-                Object.entries(searchFilters).map(([k,v]) => `${k}=${v}`).join(', ') : 'none'}`);
-            dv.paragraph(`Strict path mode: ${strictPath}`);
-            dv.paragraph(`Minimum confidence: ${(minScore * 100).toFixed(1)}%`);
-            dv.paragraph(`Max results: ${maxResults}`);
-            dv.paragraph(`Strict max results: ${strictMaxResults}`);
+        if (logger) {
+            const describeClause = clause => clause.exists !== null ? 
+                `${clause.field} ${clause.exists ? 'exists' : 'missing'}` : 
+                `${clause.field}=${clause.targetValues.map(showValue).join(clause.mode === "all" ? ' & ' : ' | ')}`;
+            logger.step("Applying filters", { 
+                required: requiredClauses.map(describeClause), 
+                excluded: excludedClauses.map(describeClause), 
+                strictPath, 
+                minScore, 
+                maxResults, 
+                strictMaxResults 
+            });
+            logger.info(`Required (must): ${requiredClauses.length > 0 ? requiredClauses.map(describeClause).join(', ') : 'none'}`);
+            logger.info(`Excluded (mustNot): ${excludedClauses.length > 0 ? excludedClauses.map(describeClause).join(', ') : 'none'}`);
+            logger.verbose(`Strict path mode: ${strictPath}`);
+            logger.verbose(`Minimum confidence: ${(minScore * 100).toFixed(1)}%`);
+            logger.verbose(`Max results: ${maxResults}`);
+            logger.verbose(`Strict max results: ${strictMaxResults}`);
         }
         
         // Apply filtering and sorting
-        const sortedResults = results
+        let sortedResults = results
             .filter(r => !strictPath || r.inSamePath) // Only include same-path files if strictPath is true
             .sort((a, b) => b.confidence - a.confidence)
             .filter(r => r.confidence >= minScore * 100); // Apply minimum score threshold
         
+        // Diversity re-ranking replaces the confidence order, so ties no longer extend the results
+        if (diversity > 0) {
+            sortedResults = this.diversifyResults(sortedResults, diversity, { maxResults });
+        }
+        
         // Apply max results limit with optional strict mode
         let filtered;
-        if (strictMaxResults) {
+        if (strictMaxResults || diversity > 0) {
             // Strict mode: simply cut off at maxResults
             filtered = sortedResults.slice(0, maxResults);
         } else {
@@ -491,14 +3088,23 @@ class ConceptManager {
             }
         }
             
-        if (debug) {
+        if (logger) {
+            const cacheStats = this.getCacheStats();
+            logger.step("Results", { 
+                scored: results.length, 
+                returned: filtered.map(r => ({ page: r.concept.file.path, confidence: r.confidence })), 
+                cache: cacheStats 
+            });
+            
             // Debug: Show what's in resolvedCriteria
-            dv.paragraph(`**Debug Info:**`);
-            dv.paragraph(`Resolved criteria: ${Object.keys(resolvedCriteria).map(k => `${k}=${resolvedCriteria[k]}`).join(', ')}`);
+            logger.verbose(`Resolved criteria: ${Object.keys(resolvedCriteria).map(k => {
+                const value = resolvedCriteria[k];
+                return `${k}=${Array.isArray(value) ? value.map(showValue).join(', ') : showValue(value)}`;
+            }).join(', ')}`);
             
             // Show ALL results in debug table (unfiltered)
-            dv.paragraph(`**All Results: ${results.length} concepts found**`);
-            if (results.length > 0) {
+            logger.info(`**All Results: ${results.length} concepts found**`);
+            if (results.length > 0 && logger.enabled("verbose")) {
                 // Build dynamic table columns based on what was actually used
                 const columns = ["Concept", "Confidence"];
                 
@@ -507,6 +3113,16 @@ class ConceptManager {
                     columns.push("Same Path");
                 }
                 
+                // Add link graph columns for each enabled dimension
+                linkDimensions.forEach(dimension => {
+                    columns.push(dimension.charAt(0).toUpperCase() + dimension.slice(1));
+                });
+                
+                // Add content similarity column if enabled
+                if (contentWeight > 0) {
+                    columns.push("Content");
+                }
+                
                 // Add columns for each criteria that was used (ensure we have the field)
                 Object.keys(resolvedCriteria).forEach(field => {
                     if (resolvedCriteria[field] !== undefined && resolvedCriteria[field] !== null) {
@@ -527,10 +3143,22 @@ class ConceptManager {
                         row.push(r.inSamePath ? "✓" : "✗");
                     }
                     
+                    // Add link graph scores
+                    linkDimensions.forEach(dimension => {
+                        const score = relatedConcepts.get(r.concept.file.path).scores.get(dimension);
+                        row.push(score ? score.toFixed(2) : '-');
+                    });
+                    
+                    // Add content similarity score
+                    if (contentWeight > 0) {
+                        const score = relatedConcepts.get(r.concept.file.path).scores.get("content");
+                        row.push(score ? score.toFixed(2) : '-');
+                    }
+                    
                     // Add values for each criteria (only if field is defined)
                     Object.keys(resolvedCriteria).forEach(field => {
                         if (resolvedCriteria[field] !== undefined && resolvedCriteria[field] !== null) {
-                            const value = r.concept[field];
+                            const value = this.getFieldValue(r.concept, field);
                             row.push(Array.isArray(value) ? value.join(', ') : (value || '-'));
                         }
                     });
@@ -538,18 +3166,782 @@ class ConceptManager {
                     return row;
                 });
                 
-                dv.table(columns, rows);
-            } else {
-                dv.paragraph("❌ No concepts found matching the criteria");
+                logger.table("verbose", columns, rows);
+            } else if (results.length === 0) {
+                logger.info("❌ No concepts found matching the criteria");
             }
             
             const filterDescription = strictMaxResults ? 
                 `strict maxResults=${maxResults}` : 
                 `maxResults=${maxResults} (non-strict, included ${filtered.length > maxResults ? filtered.length - maxResults : 0} additional results with same confidence)`;
-            dv.paragraph(`**Filtered Results: ${filtered.length} concepts (after minScore=${(minScore * 100).toFixed(1)}%, ${filterDescription})**`);
-            dv.paragraph("---");
+            logger.info(`**Filtered Results: ${filtered.length} concepts (after minScore=${(minScore * 100).toFixed(1)}%, ${filterDescription})**`);
+            logger.info(`**Cache:** ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.invalidations} invalidations (${cacheStats.conceptEntries} indexes, ${cacheStats.relationEntries} path lookups)`);
+            
+            // Loggers passed in by the caller are flushed by the caller, e.g. after several calls;
+            // a trace sink renders nothing, so its steps travel with the results
+            if (logger !== debug) {
+                const trace = logger.flush();
+                if (logger.sink === "trace") filtered.trace = trace;
+            }
         }
         
         return filtered;
     }
-} 
\ No newline at end of file
+
+    /**
+     * Re-ranks results for diversity with maximal marginal relevance (MMR): each next result is the one
+     * with the best (1 - diversity) × confidence - diversity × its highest similarity to the results
+     * already picked. Two results are similar when they sit in nearby folders and matched the same values.
+     * Only the most confident poolFactor × maxResults results compete, and picking stops at maxResults.
+     * 
+     * @param {Array} results - Results from getRelatedConcepts(), sorted by confidence
+     * @param {number} diversity - Weight of diversity against confidence, between 0 and 1
+     * @param {Object} [options={}] - Selection limits
+     * @param {number} [options.maxResults] - Results to pick (default: all)
+     * @param {number} [options.poolFactor=3] - Candidates considered per result to pick
+     * @returns {Array} Up to maxResults of the results, in diversified order
+     */
+    diversifyResults(results, diversity, { maxResults = results.length, poolFactor = 3 } = {}) {
+        const lambda = Math.min(Math.max(diversity, 0), 1);
+        const picks = Math.min(maxResults, results.length);
+        const pool = results.slice(0, Math.max(picks * poolFactor, picks));
+        const folders = new Map(pool.map(r => [r, r.concept.file.path.split('/').slice(0, -1).join('/')]));
+        const matchedValues = new Map(pool.map(r => [r, new Set(Object.entries(r.matches || {})
+            .flatMap(([field, matches]) => matches.map(m => `${field}=${m.value}`)))]));
+        
+        const similarity = (a, b) => {
+            const folderSimilarity = 1 / (1 + this.getFolderDistance(folders.get(a), folders.get(b)).distance);
+            const valuesA = matchedValues.get(a);
+            const valuesB = matchedValues.get(b);
+            const union = new Set([...valuesA, ...valuesB]).size;
+            const shared = Array.from(valuesA).filter(v => valuesB.has(v)).length;
+            return (folderSimilarity + (union > 0 ? shared / union : 0)) / 2;
+        };
+        
+        // Each candidate keeps its highest similarity to the picks so far, updated after every pick
+        const remaining = pool.map(result => ({ result, redundancy: 0 }));
+        const selected = [];
+        while (selected.length < picks) {
+            let bestIndex = 0;
+            let bestScore = -Infinity;
+            remaining.forEach((candidate, i) => {
+                const score = (1 - lambda) * candidate.result.confidence / 100 - lambda * candidate.redundancy;
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = i;
+                }
+            });
+            const picked = remaining.splice(bestIndex, 1)[0].result;
+            selected.push(picked);
+            remaining.forEach(candidate => {
+                candidate.redundancy = Math.max(candidate.redundancy, similarity(candidate.result, picked));
+            });
+        }
+        return selected;
+    }
+
+    /**
+     * Explains why a page was returned by getRelatedConcepts(), from its score breakdown
+     * 
+     * @param {Object} result - A result returned by getRelatedConcepts()
+     * @returns {string} Readable reasons with their points, strongest first,
+     *   e.g. "subject: Trading (+1.5); same folder (+2.00); linked (+2.00)"
+     * 
+     * @example
+     * const related = getRelatedConcepts({ dv });
+     * dv.list(related.map(r => `${r.concept.file.link}: ${explainResult(r)}`));
+     */
+    explainResult(result) {
+        const labels = {
+            path: result.inSamePath ? "same path" : "nearby folder",
+            links: "linked",
+            sharedOutlinks: "shared link targets",
+            sharedInlinks: "shared backlinks",
+            content: "similar content",
+            custom: "custom score"
+        };
+        
+        return Object.entries(result.scores || {})
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([dimension, score]) => {
+                const points = `+${Number(score.toFixed(2))}`;
+                if (labels[dimension]) {
+                    return `${labels[dimension]} (${points})`;
+                }
+                // Frontmatter field: show the matched values, with partial credit where graded
+                const values = ((result.matches || {})[dimension] || []).map(m => 
+                    m.credit < 1 ? 
+                        `${this.formatValue(m.value)} ≈ ${this.formatValue(m.target)} (${Math.round(m.credit * 100)}%)` : 
+                        this.formatValue(m.value));
+                return values.length > 0 ? `${dimension}: ${values.join(', ')} (${points})` : `${dimension} (${points})`;
+            })
+            .join('; ');
+    }
+
+    /**
+     * Renders a grouped analysis of the current page's neighbours for each relation field.
+     * For every value the current page holds in a field, lists the other pages sharing
+     * that value (found with getConceptsByRelationType()), with a header and a count.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Array<string>} params.relationTypes - Frontmatter fields to analyse (default: ["levels", "units", "categories"])
+     * @param {number} params.headerLevel - Header level of the section title (1-6, default: 2)
+     * @param {string} params.headerText - Section title, or null to skip it (default: "Concepts Analysis")
+     * @param {string} params.relationSubject - Optional subject filter passed to getConceptsByRelationType()
+     * @param {Array<string>} params.allowedDomains - Optional domain filter passed to getConceptsByRelationType()
+     * @param {boolean} params.showEmpty - Also render fields the current page has no value for (default: false)
+     * @returns {Object} Map of field name to a Map of normalized value => matching pages
+     * 
+     * @example
+     * // One section per level, unit and category of the current page
+     * generateConceptsAnalysis({ 
+     *   dv, 
+     *   relationTypes: ["levels", "units", "categories"],
+     *   headerLevel: 2 
+     * })
+     */
+    generateConceptsAnalysis({ 
+        dv, 
+        relationTypes = ["levels", "units", "categories"], 
+        headerLevel = 2, 
+        headerText = "Concepts Analysis",
+        relationSubject = null, 
+        allowedDomains = null,
+        showEmpty = false 
+    }) {
+        this.getSchema(dv);
+        const current = dv.current();
+        const analysis = new Map();
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        
+        relationTypes.forEach(relationType => {
+            // One group per normalized value ("RSI", "[[RSI]]" and "rsi" are one value), searched
+            // with the value as written; getFieldValues() keeps the order of the written values
+            const currentValue = this.getFieldValue(current, relationType);
+            const written = (Array.isArray(currentValue) ? currentValue : [currentValue])
+                .filter(v => v !== undefined && v !== null);
+            const values = new Map();
+            this.getFieldValues(current, relationType).forEach((value, i) => {
+                if (value !== "" && !values.has(value)) values.set(value, written[i]);
+            });
+            const capitalizedField = relationType.charAt(0).toUpperCase() + relationType.slice(1);
+            
+            if (values.size === 0) {
+                if (showEmpty) {
+                    dv.header(Math.min(headerLevel + 1, 6), capitalizedField);
+                    dv.paragraph(`*No ${relationType} defined on this page.*`);
+                }
+                return;
+            }
+            
+            const groups = new Map();
+            values.forEach((value, key) => {
+                // Exclude the current page from its own neighbours
+                const pages = this.getConceptsByRelationType({ 
+                    dv, 
+                    relationType, 
+                    relationValue: value, 
+                    relationSubject, 
+                    allowedDomains 
+                }).where(p => p.file.path !== current.file.path);
+                groups.set(key, pages);
+            });
+            analysis.set(relationType, groups);
+            
+            const total = Array.from(groups.values()).reduce((sum, pages) => sum + pages.length, 0);
+            dv.header(Math.min(headerLevel + 1, 6), `${capitalizedField} (${total})`);
+            
+            groups.forEach((pages, value) => {
+                dv.header(Math.min(headerLevel + 2, 6), `${this.formatValue(value)} (${pages.length})`);
+                if (pages.length === 0) {
+                    dv.paragraph(`*No other pages share this ${relationType} value.*`);
+                } else {
+                    dv.list(pages.map(p => p.file.link));
+                }
+            });
+        });
+        
+        return analysis;
+    }
+
+    /**
+     * Renders a hub page view listing the pages that belong to the current hub, grouped by
+     * type and level. ConceptWrappers.renderHubView() adds the "Related Content" footer.
+     * 
+     * Membership is established by any combination of:
+     * 1. Back-references: frontmatter fields on other pages that link to (or name) the hub
+     * 2. Folder containment: pages in the hub's folder (and subfolders) via getFilesInSamePath()
+     * 3. Shared subject: pages with any subject value in common with the hub
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {number} params.headerLevel - Header level of the items section (1-6, default: 2)
+     * @param {string} params.groupItemsHeaderText - Header text of the items section (default: "Items")
+     * @param {Object} params.membership - Which membership rules to apply
+     *   - backlinks: frontmatter back-references to the hub (default: true)
+     *   - folder: pages in the hub's folder (default: true)
+     *   - subFolders: also include pages in subfolders when folder is on (default: true)
+     *   - subject: pages sharing the hub's subject (default: true)
+     * @param {Array<string>} params.groupBy - Frontmatter fields to group items by, outermost first (default: the schema's type and level fields)
+     * @returns {Array} Array of { page, via } members, where via lists the matching membership rules
+     * 
+     * @example
+     * // Standard hub view
+     * generateSmartView({ 
+     *   dv, 
+     *   headerLevel: 2,
+     *   groupItemsHeaderText: "Items in this Hub" 
+     * })
+     */
+    generateSmartView({ 
+        dv, 
+        headerLevel = 2, 
+        groupItemsHeaderText = "Items", 
+        membership = {}, 
+        groupBy = null 
+    }) {
+        const hub = dv.current();
+        this.getSchema(dv);
+        const subjectField = this.getRoleField("subject");
+        groupBy = groupBy || [this.getRoleField("type"), this.getRoleField("level")];
+        const rules = { backlinks: true, folder: true, subFolders: true, subject: true, ...membership };
+        const members = new Map();
+        
+        const addMember = (page, reason) => {
+            const pageId = page.file.path;
+            if (pageId === hub.file.path) return;
+            if (!members.has(pageId)) {
+                members.set(pageId, { page, via: [] });
+            }
+            const member = members.get(pageId);
+            if (!member.via.includes(reason)) {
+                member.via.push(reason);
+            }
+        };
+        
+        // 1. Back-references: any frontmatter value that links to or names the hub
+        if (rules.backlinks) {
+            const hubNames = [hub.file.name, hub.file.path, hub.file.path.replace(/\.md$/, '')];
+            const refersToHub = (value) => {
+                if (!value) return false;
+                if (typeof value === 'object' && value.path) return value.path === hub.file.path;
+                if (typeof value === 'string') return hubNames.includes(value.replace(/^\[\[|\]\]$/g, '').split('|')[0]);
+                return false;
+            };
+            
+            this.getPages(dv)
+                .where(p => Object.keys(p.file.frontmatter || {}).some(field => {
+                    const values = Array.isArray(p[field]) ? p[field] : [p[field]];
+                    return values.some(refersToHub);
+                }))
+                .forEach(p => addMember(p, "Backlink"));
+        }
+        
+        // 2. Folder containment
+        if (rules.folder) {
+            const pathFiles = this.getFilesInSamePath({ dv, currentPath: hub.file.path });
+            pathFiles.exactFolder.forEach(p => addMember(p, "Folder"));
+            if (rules.subFolders) {
+                pathFiles.subFolders.forEach(p => addMember(p, "Subfolder"));
+            }
+        }
+        
+        // 3. Shared subject
+        const hubSubjects = this.getFieldValues(hub, subjectField);
+        if (rules.subject && hubSubjects.length > 0) {
+            this.getPages(dv)
+                .where(p => {
+                    const pageSubjects = this.getFieldValues(p, subjectField);
+                    return hubSubjects.some(s => pageSubjects.includes(s));
+                })
+                .forEach(p => addMember(p, "Subject"));
+        }
+        
+        const items = Array.from(members.values());
+        
+        dv.header(headerLevel, `${groupItemsHeaderText} (${items.length})`);
+        
+        if (items.length === 0) {
+            dv.paragraph("*No items found for this hub.*");
+        } else {
+            // Recursively group items by each groupBy field, rendering a header per group
+            const renderGroups = (groupItems, fields, level) => {
+                if (fields.length === 0) {
+                    dv.table(
+                        ["Page", "Via"],
+                        groupItems
+                            .sort((a, b) => a.page.file.name.localeCompare(b.page.file.name))
+                            .map(item => [item.page.file.link, item.via.join(', ')])
+                    );
+                    return;
+                }
+                
+                const [field, ...remainingFields] = fields;
+                const capitalizedField = field.charAt(0).toUpperCase() + field.slice(1);
+                const groups = new Map();
+                groupItems.forEach(item => {
+                    const value = item.page[field];
+                    const key = value === undefined || value === null || value === "" ? null : 
+                        (Array.isArray(value) ? value.join(', ') : String(value));
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(item);
+                });
+                
+                // Named groups in natural order, pages without a value last
+                const keys = Array.from(groups.keys()).sort((a, b) => {
+                    if (a === null) return 1;
+                    if (b === null) return -1;
+                    return a.localeCompare(b, undefined, { numeric: true });
+                });
+                
+                keys.forEach(key => {
+                    const label = key === null ? `No ${field}` : `${capitalizedField}: ${key}`;
+                    dv.header(Math.min(level, 6), `${label} (${groups.get(key).length})`);
+                    renderGroups(groups.get(key), remainingFields, level + 1);
+                });
+            };
+            
+            renderGroups(items, groupBy, headerLevel + 1);
+        }
+        
+        return items;
+    }
+
+    /**
+     * Renders a projects dashboard: project pages grouped by status, sorted by due or
+     * modified date, each with its linked concepts found by getRelatedConcepts().
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Array<string>|string} params.projectTypes - Values of typeField that identify project pages (default: ["project"])
+     * @param {string} params.typeField - Frontmatter field holding the page type (default: the schema's type field)
+     * @param {string} params.statusField - Frontmatter field to group by (default: the schema's status field)
+     * @param {Array<string>} params.statusOrder - Display order of known statuses; others follow alphabetically
+     *   (default: ["active", "planned", "on-hold", "done"])
+     * @param {string} params.sortBy - "due" (earliest first, undated last) or "modified" (most recent first) (default: "due")
+     * @param {string} params.dueField - Frontmatter field holding the due date (default: "due")
+     * @param {number} params.headerLevel - Header level of the dashboard title (1-6, default: 2)
+     * @param {string} params.headerText - Dashboard title, or null to skip it (default: "Projects")
+     * @param {boolean} params.showConcepts - Show linked concepts for each project (default: true)
+     * @param {Object} params.conceptOptions - Options passed to getRelatedConcepts() for each project
+     * @returns {Map} Map of status => sorted project pages
+     * 
+     * @example
+     * // Projects grouped by status, most recently modified first
+     * renderProjectsView({ dv, sortBy: "modified" })
+     */
+    renderProjectsView({ 
+        dv, 
+        projectTypes = ["project"], 
+        typeField = null, 
+        statusField = null, 
+        statusOrder = ["active", "planned", "on-hold", "done"], 
+        sortBy = "due", 
+        dueField = "due", 
+        headerLevel = 2, 
+        headerText = "Projects", 
+        showConcepts = true, 
+        conceptOptions = {} 
+    }) {
+        this.getSchema(dv);
+        typeField = typeField || this.getRoleField("type");
+        statusField = statusField || this.getRoleField("status");
+        const types = Array.isArray(projectTypes) ? projectTypes : [projectTypes];
+        // Compared normalized, so "Project" and "[[Project]]" are projects too
+        const projectValues = types.map(t => this.normalizeFieldValue(t, "", typeField));
+        const isProject = p => this.getFieldValues(p, typeField).some(t => projectValues.includes(t));
+        
+        const toTimestamp = value => this.toTimestamp(value);
+        
+        const compareProjects = (a, b) => {
+            if (sortBy === "modified") {
+                return (toTimestamp(b.file.mtime) || 0) - (toTimestamp(a.file.mtime) || 0);
+            }
+            const dueA = toTimestamp(a[dueField]);
+            const dueB = toTimestamp(b[dueField]);
+            if (dueA === null && dueB === null) return a.file.name.localeCompare(b.file.name);
+            if (dueA === null) return 1;
+            if (dueB === null) return -1;
+            return dueA - dueB;
+        };
+        
+        // Group projects by status
+        const groups = new Map();
+        this.getPages(dv)
+            .where(isProject)
+            .forEach(p => {
+                const status = p[statusField] ? String(p[statusField]) : null;
+                if (!groups.has(status)) groups.set(status, []);
+                groups.get(status).push(p);
+            });
+        
+        // Known statuses first in the given order, then the rest alphabetically, no status last
+        const statuses = Array.from(groups.keys()).sort((a, b) => {
+            if (a === null) return 1;
+            if (b === null) return -1;
+            const orderA = statusOrder.indexOf(a);
+            const orderB = statusOrder.indexOf(b);
+            if (orderA !== -1 && orderB !== -1) return orderA - orderB;
+            if (orderA !== -1) return -1;
+            if (orderB !== -1) return 1;
+            return a.localeCompare(b);
+        });
+        
+        const dashboard = new Map();
+        statuses.forEach(status => dashboard.set(status, groups.get(status).sort(compareProjects)));
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        
+        if (dashboard.size === 0) {
+            dv.paragraph(`*No pages found with ${typeField}: ${types.join(', ')}.*`);
+            return dashboard;
+        }
+        
+        const defaultConceptOptions = {
+            includePath: false,
+            minScore: 0.5,
+            maxResults: 5,
+            strictMaxResults: true
+        };
+        
+        const columns = ["Project", "Due", "Modified"];
+        if (showConcepts) {
+            columns.push("Linked Concepts");
+        }
+        
+        dashboard.forEach((projects, status) => {
+            const label = status === null ? `No ${statusField}` : status.charAt(0).toUpperCase() + status.slice(1);
+            dv.header(Math.min(headerLevel + 1, 6), `${label} (${projects.length})`);
+            
+            dv.table(columns, projects.map(project => {
+                const row = [project.file.link, project[dueField] || "-", project.file.mtime];
+                
+                if (showConcepts) {
+                    // Other projects are not concepts: excluded in the query, so maxResults counts concepts only
+                    const exclude = conceptOptions.exclude || {};
+                    const concepts = this.scoreConcepts({ 
+                        ...defaultConceptOptions, 
+                        matchCriteria: this.getDefaultCriteria({ 
+                            dv, 
+                            page: project, 
+                            fallback: { must: { [this.getRoleField("subject")]: true, [this.getRoleField("domain")]: true } } 
+                        }),
+                        ...conceptOptions, 
+                        exclude: { ...exclude, values: { ...(exclude.values || {}), [typeField]: types } },
+                        source: dv, 
+                        output: dv, 
+                        page: project 
+                    });
+                    row.push(concepts.length > 0 ? concepts.map(r => r.concept.file.link) : "-");
+                }
+                
+                return row;
+            }));
+        });
+        
+        return dashboard;
+    }
+
+    /**
+     * Renders a metadata health report for the vault, one section per check:
+     * - Isolated notes: no related concept reaches minScore (the best match is shown)
+     * - Missing fields: fields listed in the schema's requiredFields for the note's type are not set
+     * - Single-use values: values held by a single note, often typos
+     * - Near-duplicate values: values that only differ by case, spacing, hyphens or underscores
+     * Only notes with a value in the schema's type field are checked. Every finding links to its note.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {number} params.headerLevel - Header level of the report title (1-6, default: 2)
+     * @param {string} params.headerText - Report title, or null to skip it (default: "Vault Health")
+     * @param {Object} params.sections - Checks to run: { isolated, missingFields, singleUse, nearDuplicates } (default: all true)
+     * @param {Array<string>} params.fields - Fields checked for single-use and near-duplicate values
+     *   (default: the schema's subject, domain and type fields and every field with schema settings)
+     * @param {Array<string>} params.includeFolders - Only check notes in these folders (glob patterns, default: all)
+     * @param {Array<string>} params.excludeFolders - Skip notes in these folders (glob patterns, default: none)
+     * @param {number} params.minScore - Confidence (0-1) a note's best match needs to not be isolated (default: 0.66)
+     * @param {Object} params.conceptOptions - Options passed to getRelatedConcepts() for the isolation check
+     * @returns {Object} { isolated: [{ page, best, confidence }], missingFields: [{ page, type, missing }],
+     *   singleUse: [{ field, value, page }], nearDuplicates: [{ field, variants: [{ value, pages }] }] }
+     * 
+     * @example
+     * // Only the metadata checks, for notes outside the archive
+     * generateHealthReport({ dv, sections: { isolated: false }, excludeFolders: ["Archive/**"] })
+     */
+    generateHealthReport({ 
+        dv, 
+        headerLevel = 2, 
+        headerText = "Vault Health", 
+        sections = {}, 
+        fields = null, 
+        includeFolders = [], 
+        excludeFolders = [], 
+        minScore = 0.66, 
+        conceptOptions = {} 
+    }) {
+        const checks = { isolated: true, missingFields: true, singleUse: true, nearDuplicates: true, ...sections };
+        const schema = this.getSchema(dv);
+        const typeField = schema.roles.type;
+        const pageIndex = this.getPageIndex(dv);
+        const checkedFields = fields || Array.from(new Set([
+            schema.roles.subject, 
+            schema.roles.domain, 
+            typeField, 
+            ...Object.keys(schema.fields)
+        ]));
+        
+        const notes = [];
+        this.getPages(dv).forEach(p => {
+            const folder = p.file.path.split('/').slice(0, -1).join('/');
+            if (p.file.path === schema.path || !this.isFolderAllowed(folder, { includeFolders, excludeFolders })) return;
+            if (this.getFieldValues(p, typeField).length > 0) notes.push(p);
+        });
+        const report = { isolated: [], missingFields: [], singleUse: [], nearDuplicates: [] };
+        
+        // 1. Isolated notes: the best match (other than the note itself) stays below minScore
+        if (checks.isolated) {
+            notes.forEach(page => {
+                const best = this.scoreConcepts({ 
+                    ...conceptOptions, 
+                    source: dv, 
+                    output: dv, 
+                    page, 
+                    minScore: 0, 
+                    maxResults: 2, 
+                    strictMaxResults: true, 
+                    debug: false 
+                }).find(r => r.concept.file.path !== page.file.path);
+                if (!best || best.confidence < minScore * 100) {
+                    report.isolated.push({ page, best: best ? best.concept : null, confidence: best ? best.confidence : 0 });
+                }
+            });
+        }
+        
+        // 2. Fields the schema requires for the note's type
+        if (checks.missingFields) {
+            notes.forEach(page => {
+                this.getFieldValues(page, typeField).forEach(type => {
+                    const required = (schema.types[type] || {}).requiredFields || [];
+                    const missing = required.filter(field => this.getFieldValues(page, field).length === 0);
+                    if (missing.length > 0) {
+                        report.missingFields.push({ page, type, missing });
+                    }
+                });
+            });
+        }
+        
+        // 3 and 4. Value checks on the values as written, since normalization hides their differences;
+        // links and values naming a note are left out
+        checkedFields.forEach(field => {
+            const written = new Map();
+            notes.forEach(p => {
+                const value = this.getFieldValue(p, field);
+                (Array.isArray(value) ? value : [value]).forEach(v => {
+                    if (typeof v !== 'string' || !v.trim() || this.getLinkpath(v) !== null) return;
+                    if (pageIndex.has(this.normalizeFieldValue(v, p.file.path, field))) return;
+                    if (!written.has(v)) written.set(v, []);
+                    if (!written.get(v).includes(p)) written.get(v).push(p);
+                });
+            });
+            const values = Array.from(written, ([value, pages]) => ({ value, pages }));
+            
+            if (checks.singleUse) {
+                values
+                    .filter(({ pages }) => pages.length === 1)
+                    .forEach(({ value, pages }) => report.singleUse.push({ field, value, page: pages[0] }));
+            }
+            
+            if (checks.nearDuplicates) {
+                const variants = new Map();
+                values.forEach(entry => {
+                    const key = entry.value.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+                    if (!variants.has(key)) variants.set(key, []);
+                    variants.get(key).push(entry);
+                });
+                variants.forEach(entries => {
+                    if (entries.length > 1) {
+                        report.nearDuplicates.push({ field, variants: entries.sort((a, b) => b.pages.length - a.pages.length) });
+                    }
+                });
+            }
+        });
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        dv.paragraph(`*${notes.length} notes checked.*`);
+        
+        const sectionLevel = Math.min(headerLevel + 1, 6);
+        const renderSection = (title, rows, columns, toRow) => {
+            dv.header(sectionLevel, `${title} (${rows.length})`);
+            if (rows.length === 0) {
+                dv.paragraph("*Nothing to report.*");
+            } else {
+                dv.table(columns, rows.map(toRow));
+            }
+        };
+        
+        if (checks.isolated) {
+            renderSection("Isolated Notes", report.isolated, ["Page", "Best match", "Confidence"], r => [
+                r.page.file.link, 
+                r.best ? r.best.file.link : "-", 
+                `${r.confidence.toFixed(2)}%`
+            ]);
+        }
+        if (checks.missingFields) {
+            renderSection("Missing Fields", report.missingFields, ["Page", "Type", "Missing"], r => [
+                r.page.file.link, 
+                r.type, 
+                r.missing.join(', ')
+            ]);
+        }
+        if (checks.singleUse) {
+            renderSection("Single-Use Values", report.singleUse, ["Field", "Value", "Page"], r => [
+                r.field, 
+                r.value, 
+                r.page.file.link
+            ]);
+        }
+        if (checks.nearDuplicates) {
+            renderSection("Near-Duplicate Values", report.nearDuplicates, ["Field", "Variants", "Pages"], r => [
+                r.field, 
+                r.variants.map(v => `${v.value} (${v.pages.length})`).join(', '), 
+                r.variants.flatMap(v => v.pages.map(p => p.file.link))
+            ]);
+        }
+        
+        return report;
+    }
+
+    /**
+     * Suggests frontmatter values for a page from its nearest neighbours: the values its most related
+     * concepts (by path, links and existing fields) share, for fields it is missing or could extend.
+     * 
+     * A value's support is the number of neighbours holding it; its confidence is the share of the
+     * neighbours' total confidence carried by those neighbours, so closer neighbours count more.
+     * 
+     * @param {Object} params - Parameters object
+     * @param {Object} params.dv - DataView API object
+     * @param {Array<string>} params.fields - Fields to suggest values for (default: the schema's subject,
+     *   domain, type and level fields, the required fields of the page's type and every field with schema settings)
+     * @param {Object} params.page - Page to suggest values for (default: current page)
+     * @param {number} params.neighbours - Number of related concepts to learn from (default: 10)
+     * @param {number} params.minSupport - Smallest number of neighbours holding a value (default: 2)
+     * @param {number} params.minConfidence - Smallest confidence of a suggestion, 0-1 (default: 0.3)
+     * @param {boolean} params.onlyMissing - Only suggest values for fields the page does not have (default: false)
+     * @param {number} params.headerLevel - Header level of the section title (1-6, default: 3)
+     * @param {string} params.headerText - Section title, or null to skip it (default: "Suggested Metadata")
+     * @param {Object} params.conceptOptions - Options passed to getRelatedConcepts() to find the neighbours
+     * @returns {Array} Suggestions sorted by confidence: { field, value, label, missing, support, confidence, pages }
+     * 
+     * @example
+     * // Propose a subject, level and unit for a new note
+     * suggestMetadata({ dv, fields: ["subject", "level", "units"], onlyMissing: true })
+     */
+    suggestMetadata({ 
+        dv, 
+        fields = null, 
+        page = null, 
+        neighbours = 10, 
+        minSupport = 2, 
+        minConfidence = 0.3, 
+        onlyMissing = false, 
+        headerLevel = 3, 
+        headerText = "Suggested Metadata", 
+        conceptOptions = {} 
+    }) {
+        const current = page || dv.current();
+        const schema = this.getSchema(dv);
+        const roles = schema.roles;
+        const requiredFields = this.getFieldValues(current, roles.type)
+            .flatMap(type => (schema.types[type] || {}).requiredFields || []);
+        const suggestedFields = Array.from(new Set((fields || [
+            roles.subject, 
+            roles.domain, 
+            roles.type, 
+            roles.level, 
+            ...requiredFields, 
+            ...Object.keys(schema.fields)
+        ]).map(field => this.resolveFieldName(field))));
+        
+        // Neighbours by path, links and the fields the page already has; a low bar, since
+        // poorly described pages are the ones needing suggestions
+        const related = this.scoreConcepts({ 
+            minScore: 0.2, 
+            linkWeights: { links: 1, sharedOutlinks: 1, sharedInlinks: 1 }, 
+            ...conceptOptions, 
+            source: dv, 
+            output: dv, 
+            page: current, 
+            maxResults: neighbours, 
+            strictMaxResults: true, 
+            debug: false 
+        }).filter(r => r.concept.file.path !== current.file.path);
+        const totalConfidence = related.reduce((sum, r) => sum + r.confidence, 0);
+        
+        const suggestions = [];
+        suggestedFields.forEach(field => {
+            const currentValues = this.getFieldValues(current, field);
+            if (onlyMissing && currentValues.length > 0) return;
+            
+            const tally = new Map();
+            related.forEach(r => {
+                new Set(this.getFieldValues(r.concept, field)).forEach(value => {
+                    if (currentValues.includes(value)) return;
+                    if (!tally.has(value)) tally.set(value, { support: 0, weight: 0, pages: [] });
+                    const entry = tally.get(value);
+                    entry.support++;
+                    entry.weight += r.confidence;
+                    entry.pages.push(r.concept);
+                });
+            });
+            
+            tally.forEach(({ support, weight, pages }, value) => {
+                const confidence = totalConfidence > 0 ? weight / totalConfidence : 0;
+                if (support >= minSupport && confidence >= minConfidence) {
+                    suggestions.push({ 
+                        field, 
+                        value, 
+                        label: this.formatValue(value), 
+                        missing: currentValues.length === 0, 
+                        support, 
+                        confidence, 
+                        pages 
+                    });
+                }
+            });
+        });
+        suggestions.sort((a, b) => b.confidence - a.confidence || b.support - a.support);
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        
+        if (suggestions.length === 0) {
+            dv.paragraph(related.length === 0 ? 
+                "*No related concepts to learn from.*" : 
+                `*No suggestions from ${related.length} related concepts.*`);
+            return suggestions;
+        }
+        
+        dv.table(
+            ["Field", "Suggested value", "Support", "Confidence", "From"],
+            suggestions.map(s => [
+                s.missing ? `${s.field} (missing)` : s.field,
+                this.pageNames && this.pageNames.has(s.value) ? dv.fileLink(s.value) : s.label,
+                `${s.support}/${related.length}`,
+                `${(s.confidence * 100).toFixed(0)}%`,
+                s.pages.map(p => p.file.link)
+            ])
+        );
+        
+        return suggestions;
+    }
+}
\ No newline at end of file
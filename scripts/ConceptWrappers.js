@@ -45,6 +45,8 @@
 // --- Constants & Global Variables ---
 const DEFAULT_MAX_RESULTS = 5;
 const DEFAULT_HEADER_LEVEL = 3;
+const DEFAULT_EXCLUDED_FOLDERS = ["Templates/**", "Archive/**"];
+const DEFAULT_EXCLUDED_STATUSES = ["archived"];
 
 // --- Class Definition ---
 class ConceptWrappers {
@@ -68,24 +70,61 @@ class ConceptWrappers {
      * @param {Object} dv - DataView API object
      * @param {Object} [options={}] - Display and concept search options
      * @param {string} [options.headerText="Similar Pages"] - Custom header text
-     * @param {number} [options.headerLevel=3] - Header level (1-6) 
+     * @param {number} [options.headerLevel=3] - Header level (1-6); 0 skips the header
      * @param {Object} [options.conceptOptions={}] - All options passed directly to getRelatedConcepts()
      *   - Supports ALL current and future getRelatedConcepts() parameters
      *   - Examples: matchCriteria, maxResults, minScore, includePath, strictPath, debug, etc.
+     * @param {boolean|string} [options.showReasons=false] - Explain why each page is related:
+     *   - false: no explanation (default)
+     *   - "column" or true: add a "Why related" column (or a line per page in the other layouts)
+     *   - "tooltip": show the explanation when hovering the confidence (table layout)
+     * @param {string} [options.layout="table"] - How to render the pages:
+     *   - "table": Page / Confidence / Match table (default)
+     *   - "list": bullet list with the confidence, for sidebars
+     *   - "inline": compact links on one line, for footers
+     *   - "callout": one callout card per page
+     * @param {string} [options.groupBy] - Frontmatter field to group pages by, with a header per value (e.g. "type", "level")
+     * @param {Array<string>} [options.columns=[]] - Extra frontmatter fields to show for each page
+     * @param {string} [options.sortBy="confidence"] - "confidence" (ranking order, default), "title" (A-Z) or "modified" (newest first)
+     * @param {number} [options.pageSize=0] - Pages shown before the rest collapse under "Show N more" (0 = show all)
+     * @param {string} [options.calloutType="note"] - Callout type of the "callout" layout
+     * @returns {Array|Promise<Array>} The results from getRelatedConcepts(), once a JSON schema has loaded
+     * 
+     * Unless conceptOptions.exclude is given, templates, archived folders and pages with an
+     * archived status are left out.
      */
     renderSimilarPages(dv, { 
         headerText = "Similar Pages", 
         headerLevel = DEFAULT_HEADER_LEVEL,
-        conceptOptions = {}
+        conceptOptions = {},
+        showReasons = false,
+        layout = "table",
+        groupBy = null,
+        columns = [],
+        sortBy = "confidence",
+        pageSize = 0,
+        calloutType = "note"
     } = {}) {
         const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderSimilarPages(...arguments));
+        if (deferred) return deferred;
+        const { roles } = ConceptManager.getSchema(dv);
         
         // FUTURE-PROOF: Pass ALL conceptOptions directly to getRelatedConcepts
         // This ensures any new parameters added to getRelatedConcepts will work automatically
+        // The schema's criteria for the page's type take precedence over this wrapper's defaults
         const defaultConceptOptions = {
             dv,
-            matchCriteria: { type: true, subject: true },
+            matchCriteria: ConceptManager.getDefaultCriteria({ 
+                dv, 
+                page: conceptOptions.page, 
+                fallback: { must: { [roles.subject]: true }, should: { [roles.type]: true } } 
+            }),
             maxResults: DEFAULT_MAX_RESULTS,
+            exclude: { 
+                folders: DEFAULT_EXCLUDED_FOLDERS, 
+                values: { [roles.status]: DEFAULT_EXCLUDED_STATUSES } 
+            },
             debug: false
         };
         
@@ -99,17 +138,131 @@ class ConceptWrappers {
 
         if (related.length === 0) {
             dv.paragraph("*No similar pages found.*");
-            return;
+            return related;
+        }
+
+        // true reads as the default explanation, a column
+        if (showReasons === true) {
+            showReasons = "column";
+        }
+
+        // Ranking order unless sorted by title or modification date
+        const sorted = related.slice();
+        if (sortBy === "title") {
+            sorted.sort((a, b) => a.concept.file.name.localeCompare(b.concept.file.name));
+        } else if (sortBy === "modified") {
+            const modified = r => ConceptManager.toTimestamp(r.concept.file.mtime) || 0;
+            sorted.sort((a, b) => modified(b) - modified(a));
+        }
+
+        const formatValue = value => {
+            if (value === undefined || value === null || value === "") return "-";
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        };
+        const describe = r => ({
+            confidence: `${(r.confidence).toFixed(2)}%`,
+            match: [r.inSamePath && "Same path", r.linked && "Linked"].filter(Boolean).join(', ') || "Cross-reference",
+            reasons: ConceptManager.explainResult(r),
+            fields: columns.map(field => [field, ConceptManager.getFieldValue(r.concept, field)])
+        });
+
+        const renderLayout = items => {
+            if (layout === "inline") {
+                dv.paragraph(items.map(r => r.concept.file.link).join(" · "));
+                return;
+            }
+            
+            if (layout === "list") {
+                dv.list(items.map(r => {
+                    const { confidence, reasons, fields } = describe(r);
+                    const details = fields.map(([field, value]) => `${field}: ${formatValue(value)}`);
+                    if (showReasons) details.push(reasons);
+                    return `${r.concept.file.link} (${confidence})${details.length > 0 ? ` · ${details.join(' · ')}` : ''}`;
+                }));
+                return;
+            }
+            
+            if (layout === "callout") {
+                items.forEach(r => {
+                    const { confidence, match, reasons, fields } = describe(r);
+                    const lines = [`> [!${calloutType}] ${r.concept.file.link}`, `> ${confidence} · ${match}`];
+                    fields.forEach(([field, value]) => lines.push(`> ${field}: ${formatValue(value)}`));
+                    if (showReasons) lines.push(`> *${reasons}*`);
+                    dv.paragraph(lines.join("\n"));
+                });
+                return;
+            }
+            
+            const tableColumns = ["Page", "Confidence", "Match", ...columns];
+            if (showReasons === "column") {
+                tableColumns.push("Why related");
+            }
+            dv.table(
+                tableColumns,
+                items.map(r => {
+                    const { confidence, match, reasons, fields } = describe(r);
+                    const row = [
+                        r.concept.file.link,
+                        showReasons === "tooltip" ? 
+                            `<span title="${reasons.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">${confidence}</span>` : 
+                            confidence,
+                        match,
+                        ...fields.map(([, value]) => value === undefined || value === null ? "-" : value)
+                    ];
+                    if (showReasons === "column") {
+                        row.push(reasons);
+                    }
+                    return row;
+                })
+            );
+        };
+
+        // Long lists show the first pageSize pages, the rest collapse under "Show N more"
+        const renderItems = items => {
+            if (!(pageSize > 0) || items.length <= pageSize) {
+                renderLayout(items);
+                return;
+            }
+            renderLayout(items.slice(0, pageSize));
+            const hidden = items.slice(pageSize);
+            const details = dv.el("details", "");
+            const summary = document.createElement("summary");
+            summary.textContent = `Show ${hidden.length} more`;
+            details.prepend(summary);
+            this.renderInto(dv, details, () => renderLayout(hidden));
+        };
+
+        if (!groupBy) {
+            renderItems(sorted);
+            return related;
         }
 
-        dv.table(
-            ["Page", "Confidence", "Match"],
-            related.map(r => [
-                r.concept.file.link,
-                `${(r.confidence).toFixed(2)}%`,
-                r.inSamePath ? "Same path" : "Cross-reference"
-            ])
-        );
+        // One section per value of the groupBy field, in order of first appearance; pages without it last
+        const groups = new Map();
+        const ungrouped = [];
+        sorted.forEach(r => {
+            const value = ConceptManager.getFieldValue(r.concept, groupBy);
+            const values = (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== "");
+            if (values.length === 0) {
+                ungrouped.push(r);
+            }
+            values.forEach(v => {
+                const label = String(v);
+                if (!groups.has(label)) groups.set(label, []);
+                groups.get(label).push(r);
+            });
+        });
+        if (ungrouped.length > 0) {
+            groups.set(`No ${groupBy}`, ungrouped);
+        }
+
+        const groupLevel = Math.min(Math.max(headerLevel, 0) + 1, 6);
+        groups.forEach((items, label) => {
+            dv.header(groupLevel, `${label} (${items.length})`);
+            renderItems(items);
+        });
+        
+        return related;
     }
 
     /**
@@ -125,13 +278,30 @@ class ConceptWrappers {
      * @param {number} [options.headerLevel=3] - Header level (1-6)
      * @param {Object} [options.conceptOptions={}] - Passed directly to getRelatedConcepts()
      *   - Full control over: matchCriteria, maxResults, minScore, includePath, strictPath, debug, etc.
+     *   - Defaults leave out pages the note already links to and diversify the results (diversity 0.3)
      */
     renderConceptFooter(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderConceptFooter(...arguments));
+        if (deferred) return deferred;
+        const { roles } = ConceptManager.getSchema(dv);
+        
         const defaultOptions = {
             headerText: "Related Content",
             headerLevel: DEFAULT_HEADER_LEVEL,
             conceptOptions: {
-                matchCriteria: { type: true, subject: true },
+                matchCriteria: ConceptManager.getDefaultCriteria({ 
+                    dv, 
+                    page: options.conceptOptions && options.conceptOptions.page, 
+                    fallback: { must: { [roles.subject]: true }, should: { [roles.type]: true } } 
+                }),
+                // Pages the note already links to are visible in its text
+                exclude: { 
+                    folders: DEFAULT_EXCLUDED_FOLDERS, 
+                    values: { [roles.status]: DEFAULT_EXCLUDED_STATUSES }, 
+                    linked: true 
+                },
+                diversity: 0.3,
                 maxResults: 10,
                 minScore: 0.6
             }
@@ -161,17 +331,27 @@ class ConceptWrappers {
      * @param {number} [options.headerLevel=3] - Header level (1-6)
      * @param {Object} [options.conceptOptions={}] - Passed directly to getRelatedConcepts()
      *   - Full control over: matchCriteria, maxResults, minScore, includePath, strictPath, debug, etc.
+     *   - Defaults diversify the results (diversity 0.3)
      */
     renderHubFooter(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderHubFooter(...arguments));
+        if (deferred) return deferred;
+        const { roles } = ConceptManager.getSchema(dv);
+        
         const defaultOptions = {
             headerText: "Related Content",
             headerLevel: DEFAULT_HEADER_LEVEL,
             conceptOptions: {
-                matchCriteria: { 
-                    type: true, 
-                    subject: true,
-                    domain: true
-                },
+                matchCriteria: ConceptManager.getDefaultCriteria({ 
+                    dv, 
+                    page: options.conceptOptions && options.conceptOptions.page, 
+                    fallback: { 
+                        must: { [roles.subject]: true, [roles.domain]: true },
+                        should: { [roles.type]: true }
+                    } 
+                }),
+                diversity: 0.3,
                 maxResults: 10,
                 minScore: 0.6
             }
@@ -188,4 +368,393 @@ class ConceptWrappers {
         this.renderSimilarPages(dv, finalOptions);
     }
 
+    /**
+     * Renders a full analysis of the current concept's neighbours by level, unit and category
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Options passed directly to generateConceptsAnalysis()
+     * @param {Array<string>} [options.relationTypes=["levels", "units", "categories"]] - Fields to analyse
+     * @param {number} [options.headerLevel=2] - Header level (1-6)
+     */
+    renderConceptAnalysis(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderConceptAnalysis(...arguments));
+        if (deferred) return deferred;
+        
+        const defaultOptions = {
+            relationTypes: ["levels", "units", "categories"],
+            headerLevel: 2
+        };
+        
+        return ConceptManager.generateConceptsAnalysis({ ...defaultOptions, ...options, dv });
+    }
+
+    /**
+     * Renders the standard view for hub pages: the hub's items grouped by type and level,
+     * followed by the "Related Content" footer
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Options passed directly to generateSmartView()
+     * @param {number} [options.headerLevel=2] - Header level (1-6)
+     * @param {string} [options.groupItemsHeaderText="Items in this Hub"] - Items section header text
+     * @param {boolean} [options.showFooter=true] - Render renderHubFooter() after the items
+     * @param {Object} [options.footerOptions={}] - Options passed to renderHubFooter()
+     * @returns {Array} The hub's members from generateSmartView()
+     */
+    renderHubView(dv, { showFooter = true, footerOptions = {}, ...options } = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderHubView(...arguments));
+        if (deferred) return deferred;
+        
+        const defaultOptions = {
+            headerLevel: 2,
+            groupItemsHeaderText: "Items in this Hub"
+        };
+        
+        const items = ConceptManager.generateSmartView({ ...defaultOptions, ...options, dv });
+        if (showFooter) {
+            this.renderHubFooter(dv, footerOptions);
+        }
+        return items;
+    }
+
+    /**
+     * Renders the standard projects dashboard: projects grouped by status with their linked concepts
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Options passed directly to renderProjectsView()
+     * @param {Array<string>} [options.projectTypes=["project"]] - Types that identify project pages
+     * @param {string} [options.sortBy="due"] - "due" or "modified"
+     * @param {Object} [options.conceptOptions={}] - Passed to getRelatedConcepts() for each project
+     */
+    renderProjectView(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderProjectView(...arguments));
+        if (deferred) return deferred;
+        
+        return ConceptManager.renderProjectsView({ ...options, dv });
+    }
+
+    /**
+     * Renders the vault health report: isolated notes, missing fields, single-use and near-duplicate values
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Options passed directly to generateHealthReport()
+     * @param {Object} [options.sections] - Checks to run: { isolated, missingFields, singleUse, nearDuplicates }
+     * @param {Array<string>} [options.excludeFolders=["Templates/**", "Archive/**"]] - Folders to leave out (glob patterns)
+     */
+    renderHealthReport(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderHealthReport(...arguments));
+        if (deferred) return deferred;
+        
+        const defaultOptions = {
+            excludeFolders: DEFAULT_EXCLUDED_FOLDERS
+        };
+        
+        return ConceptManager.generateHealthReport({ ...defaultOptions, ...options, dv });
+    }
+
+    /**
+     * Renders suggested frontmatter values for the current page, learned from its related concepts
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Options passed directly to suggestMetadata()
+     * @param {Array<string>} [options.fields] - Fields to suggest values for
+     * @param {boolean} [options.onlyMissing=true] - Only suggest values for fields the page does not have
+     * @param {Object} [options.conceptOptions={}] - Passed to getRelatedConcepts() to find the neighbours
+     */
+    renderMetadataSuggestions(dv, options = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderMetadataSuggestions(...arguments));
+        if (deferred) return deferred;
+        
+        const defaultOptions = {
+            onlyMissing: true,
+            headerLevel: DEFAULT_HEADER_LEVEL
+        };
+        
+        return ConceptManager.suggestMetadata({ ...defaultOptions, ...options, dv });
+    }
+
+    /**
+     * Renders the current page's typed relations as one section per relation type,
+     * e.g. "Parent", "Children", "Contradicts"
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Display and relation options
+     * @param {string} [options.headerText="Relations"] - Custom header text, or null to skip it
+     * @param {number} [options.headerLevel=3] - Header level (1-6); sections use the next level
+     * @param {Array<string>} [options.relationTypes] - Relation types to show, in order (default: all schema relations)
+     * @param {boolean} [options.showInferred=true] - Include relations inferred from other pages' inverse fields
+     * @param {Object} [options.page] - Page whose relations to show (default: current page)
+     * @returns {Map|Promise<Map>} The relations from getRelationsOf(), once a JSON schema has loaded
+     */
+    renderRelations(dv, { 
+        headerText = "Relations", 
+        headerLevel = DEFAULT_HEADER_LEVEL, 
+        relationTypes = null, 
+        showInferred = true, 
+        page = null 
+    } = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderRelations(...arguments));
+        if (deferred) return deferred;
+        
+        const relations = ConceptManager.getRelationsOf({ dv, page, relationTypes });
+        if (!showInferred) {
+            relations.forEach((relation, type) => {
+                relation.pages = relation.pages.filter(r => !r.inferred);
+                if (relation.pages.length === 0) relations.delete(type);
+            });
+        }
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        
+        if (relations.size === 0) {
+            dv.paragraph("*No relations found.*");
+            return relations;
+        }
+        
+        relations.forEach(({ label, pages }) => {
+            dv.header(Math.min(headerLevel + 1, 6), `${label} (${pages.length})`);
+            dv.list(pages.map(r => r.page.file.link));
+        });
+        
+        return relations;
+    }
+
+    /**
+     * Renders the current page's neighbourhood as a Mermaid concept map: typed relations,
+     * similar pages (from the same conceptOptions as renderSimilarPages()) and optionally links.
+     * Nodes open their note when clicked.
+     * 
+     * Flowchart edges are labelled with the relation label or the confidence and drawn thicker
+     * for stronger edges: relations are arrows, similarity edges plain lines, links dotted lines.
+     * The mindmap layout groups the neighbours of the current page under each relation label.
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Display and graph options
+     * @param {string} [options.headerText="Concept Map"] - Custom header text, or null to skip it
+     * @param {number} [options.headerLevel=3] - Header level (1-6)
+     * @param {string} [options.layout="flowchart"] - "flowchart" or "mindmap"
+     * @param {string} [options.direction="LR"] - Flowchart direction: "LR", "RL", "TB" or "BT"
+     * @param {number} [options.depth=1] - Hops to walk from the current page (flowchart only)
+     * @param {Array<string>} [options.relationTypes] - Relation types to show (default: all; [] for none)
+     * @param {boolean} [options.includeLinks=false] - Show links between pages as dotted edges
+     * @param {Object} [options.conceptOptions={}] - All options passed directly to getRelatedConcepts()
+     * @returns {Object|Promise<Object>} The graph from getConceptGraph(), once a JSON schema has loaded
+     */
+    renderConceptMap(dv, { 
+        headerText = "Concept Map", 
+        headerLevel = DEFAULT_HEADER_LEVEL, 
+        layout = "flowchart", 
+        direction = "LR", 
+        depth = 1, 
+        relationTypes = null, 
+        includeLinks = false, 
+        conceptOptions = {} 
+    } = {}) {
+        const { ConceptManager } = customJS;
+        const deferred = this.deferUntilSchemaLoaded(dv, () => this.renderConceptMap(...arguments));
+        if (deferred) return deferred;
+        const schema = ConceptManager.getSchema(dv);
+        const { roles } = schema;
+        
+        // Same defaults as renderSimilarPages(), so the map and the table agree
+        const finalOptions = {
+            matchCriteria: ConceptManager.getDefaultCriteria({ 
+                dv, 
+                page: conceptOptions.page, 
+                fallback: { must: { [roles.subject]: true }, should: { [roles.type]: true } } 
+            }),
+            maxResults: DEFAULT_MAX_RESULTS,
+            exclude: { 
+                folders: DEFAULT_EXCLUDED_FOLDERS, 
+                values: { [roles.status]: DEFAULT_EXCLUDED_STATUSES } 
+            },
+            ...conceptOptions
+        };
+        const { minScore = 0.66, maxResults, page, ...graphConceptOptions } = finalOptions;
+        
+        const graph = ConceptManager.getConceptGraph({ 
+            dv, 
+            root: page, 
+            depth: layout === "mindmap" ? 1 : depth, 
+            relationTypes, 
+            includeLinks, 
+            minScore, 
+            maxNeighbours: maxResults, 
+            conceptOptions: graphConceptOptions 
+        });
+        
+        if (headerText) {
+            dv.header(headerLevel, headerText);
+        }
+        
+        if (graph.edges.length === 0) {
+            dv.paragraph("*No related concepts to map.*");
+            return graph;
+        }
+        
+        // Mermaid-safe text: bare labels lose brackets and parentheses, quoted labels only escape quotes
+        // and keep the note's name intact, e.g. "RSI (indicator)"
+        const escape = text => String(text).replace(/"/g, '#quot;').replace(/[\[\]()]/g, ' ');
+        const quote = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+        const nodeIds = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+        const names = graph.nodes.map(node => node.page.file.name);
+        const nodeText = node => quote(names.filter(name => name === node.page.file.name).length > 1 ? 
+            node.id.replace(/\.md$/, '') : 
+            node.page.file.name);
+        // Flowchart nodes open their note by path; without a vault (or in a mindmap, which has no
+        // click support) Obsidian opens the note named by an internal-link node's text
+        const vaultName = typeof app !== 'undefined' && app.vault ? app.vault.getName() : null;
+        const noteUrl = node => `obsidian://open?vault=${encodeURIComponent(vaultName)}&file=${encodeURIComponent(node.id)}`;
+        const edgeLabel = edge => edge.kind === "relation" ? 
+            (schema.relations[edge.type] || {}).label || edge.type : 
+            `${Math.round(edge.weight * 100)}%`;
+        
+        const lines = [];
+        if (layout === "mindmap") {
+            // Group the root's neighbours by relation label
+            const root = graph.nodes[0];
+            const groups = new Map();
+            graph.edges
+                .filter(edge => edge.source === root.id || edge.target === root.id)
+                .forEach(edge => {
+                    const other = edge.source === root.id ? edge.target : edge.source;
+                    const group = edge.kind === "relation" ? 
+                        edgeLabel(edge) : 
+                        (edge.kind === "link" ? "Linked" : "Similar");
+                    if (!groups.has(group)) groups.set(group, new Set());
+                    groups.get(group).add(other);
+                });
+            
+            lines.push("mindmap");
+            lines.push(`  root((${nodeText(root)}))`);
+            // A page listed under two labels needs a mindmap id per entry
+            let entry = 0;
+            groups.forEach((members, group) => {
+                lines.push(`    ${escape(group)}`);
+                members.forEach(id => {
+                    const node = graph.nodes.find(n => n.id === id);
+                    lines.push(`      m${entry++}[${nodeText(node)}]:::internal-link`);
+                });
+            });
+        } else {
+            lines.push(`flowchart ${direction}`);
+            graph.nodes.forEach(node => lines.push(`    ${nodeIds.get(node.id)}[${nodeText(node)}]`));
+            graph.edges.forEach(edge => {
+                const source = nodeIds.get(edge.source);
+                const target = nodeIds.get(edge.target);
+                if (edge.kind === "link") {
+                    lines.push(`    ${source} -.- ${target}`);
+                } else {
+                    lines.push(`    ${source} -- "${escape(edgeLabel(edge))}" ${edge.kind === "relation" ? '-->' : '---'} ${target}`);
+                }
+            });
+            // Thicker edges for stronger relations and higher confidence
+            graph.edges.forEach((edge, i) => {
+                lines.push(`    linkStyle ${i} stroke-width:${(1 + 3 * Math.min(edge.weight, 1)).toFixed(1)}px`);
+            });
+            if (vaultName) {
+                graph.nodes.forEach(node => lines.push(`    click ${nodeIds.get(node.id)} "${noteUrl(node)}"`));
+            } else {
+                lines.push(`    class ${Array.from(nodeIds.values()).join(',')} internal-link`);
+            }
+        }
+        
+        dv.paragraph("```mermaid\n" + lines.join("\n") + "\n```");
+        return graph;
+    }
+
+    /**
+     * Exports the relatedness graph to a vault file and renders what changed since the last export
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Object} [options={}] - Display options; any other option is passed to exportConceptGraph()
+     * @param {string} [options.headerText="Graph Export"] - Custom header text
+     * @param {number} [options.headerLevel=3] - Header level (1-6); 0 skips the header
+     * @param {number} [options.maxChanges=20] - Relationships listed per change list
+     * @param {Array<string>} [options.excludeFolders=["Templates/**", "Archive/**"]] - Folders to leave out (glob patterns)
+     * @returns {Promise<Object>} The result of exportConceptGraph()
+     * 
+     * @example
+     * await ConceptWrappers.renderGraphExport(dv, { path: "Exports/concepts.graphml" });
+     */
+    renderGraphExport(dv, { 
+        headerText = "Graph Export", 
+        headerLevel = DEFAULT_HEADER_LEVEL, 
+        maxChanges = 20, 
+        ...exportOptions 
+    } = {}) {
+        const { ConceptManager } = customJS;
+        
+        const defaultOptions = {
+            excludeFolders: DEFAULT_EXCLUDED_FOLDERS
+        };
+        
+        return ConceptManager.exportConceptGraph({ ...defaultOptions, ...exportOptions, dv }).then(result => {
+            if (headerLevel > 0) {
+                dv.header(headerLevel, headerText);
+            }
+            
+            const written = exportOptions.write === false ? "Scored" : "Exported";
+            dv.paragraph(`${written} ${result.nodes.length} pages and ${result.edges.length} relationships (${result.format}) to \`${result.path}\`.`);
+            
+            if (!result.diff) {
+                dv.paragraph("*No previous export to compare with.*");
+                return result;
+            }
+            
+            const { previous, added, removed, unchanged } = result.diff;
+            dv.paragraph(`Since \`${previous}\`: ${added.length} new, ${removed.length} gone, ${unchanged} unchanged.`);
+            const describe = e => `${dv.fileLink(e.source)} → ${dv.fileLink(e.target)}${typeof e.confidence === 'number' ? ` (${e.confidence.toFixed(0)}%)` : ''}`;
+            [["New relationships", added], ["Gone relationships", removed]].forEach(([label, edges]) => {
+                if (edges.length === 0) return;
+                dv.paragraph(`**${label}:**`);
+                dv.list(edges.slice(0, maxChanges).map(describe));
+                if (edges.length > maxChanges) {
+                    dv.paragraph(`*… and ${edges.length - maxChanges} more*`);
+                }
+            });
+            return result;
+        });
+    }
+
+    // --- Helper Methods ---
+
+    /**
+     * Defers a render until a JSON schema has been loaded (see ConceptManager.loadSchema()),
+     * so the first notes rendered after startup do not fall back to the default schema
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {Function} render - Callback repeating the wrapper call
+     * @returns {Promise|null} The deferred render, or null when the schema is ready
+     */
+    deferUntilSchemaLoaded(dv, render) {
+        const { ConceptManager } = customJS;
+        return ConceptManager.isSchemaReady() ? null : ConceptManager.loadSchema({ dv }).then(render);
+    }
+
+    /**
+     * Runs DataView render calls (dv.table, dv.list, dv.paragraph...) inside another element,
+     * such as a collapsible <details> block
+     * 
+     * @param {Object} dv - DataView API object
+     * @param {HTMLElement} element - Element to render into
+     * @param {Function} render - Callback making the DataView render calls
+     */
+    renderInto(dv, element, render) {
+        const container = dv.container;
+        dv.container = element;
+        try {
+            render();
+        } finally {
+            dv.container = container;
+        }
+    }
+
 }
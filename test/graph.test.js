@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConceptManager, tradingVault } = require("./helpers.js");
+
+const edgeKey = edge => `${edge.source} -> ${edge.target}`;
+
+describe("getConceptGraph()", () => {
+    it("walks relations, links and similarity from the root", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const graph = ConceptManager.getConceptGraph({ dv: source, root: "TA/RSI.md", depth: 2 });
+        const edges = graph.edges.map(edge => [edge.source, edge.target, edge.kind, edge.type]);
+
+        assert.equal(graph.nodes[0].id, "TA/RSI.md");
+        assert.equal(graph.nodes[0].depth, 0);
+        assert.ok(edges.some(edge => edge.join() === "TA/RSI.md,TA/Hub TA.md,relation,parent"));
+        assert.ok(edges.some(edge => edge.join() === "TA/MACD.md,TA/RSI.md,link,link"));
+        assert.ok(edges.some(edge => edge.join() === "TA/MACD.md,TA/RSI.md,similar,similar"));
+        // The PKM notes share nothing with the trading notes
+        assert.ok(!graph.nodes.some(node => node.id.startsWith("PKM/")));
+    });
+
+    it("follows only the requested edge kinds", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const graph = ConceptManager.getConceptGraph({ dv: source, root: "TA/RSI.md", depth: 1, includeSimilar: false, includeLinks: false });
+
+        assert.deepEqual(graph.nodes.map(node => node.id), ["TA/RSI.md", "TA/Hub TA.md"]);
+        assert.deepEqual(graph.edges.map(edge => [edge.kind, edge.type, edge.weight]), [["relation", "parent", 1]]);
+    });
+});
+
+describe("getShortestPath()", () => {
+    it("prefers strong edges", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const linksOnly = ConceptManager.getShortestPath({ dv: source, from: "TA/RSI.md", to: "TA/MACD.md", graphOptions: { includeSimilar: false } });
+        const withRelations = ConceptManager.getShortestPath({
+            dv: source,
+            from: "TA/RSI.md",
+            to: "TA/MACD.md",
+            graphOptions: { includeSimilar: false, weights: { link: 0.1 } }
+        });
+
+        // A link costs 1 / 0.5; two parent relations through the hub cost 1 + 1
+        assert.deepEqual(linksOnly.pages.map(page => page.file.path), ["TA/RSI.md", "TA/MACD.md"]);
+        assert.equal(linksOnly.cost, 2);
+        assert.deepEqual(withRelations.pages.map(page => page.file.path), ["TA/RSI.md", "TA/Hub TA.md", "TA/MACD.md"]);
+        assert.equal(withRelations.cost, 2);
+    });
+
+    it("returns null when the concepts are not connected", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        assert.equal(ConceptManager.getShortestPath({ dv: source, from: "TA/RSI.md", to: "PKM/Hub PKM.md" }), null);
+    });
+});
+
+describe("graph export", () => {
+    for (const format of ["json", "graphml", "csv"]) {
+        it(`reads back the edges of a ${format} export`, () => {
+            const ConceptManager = loadConceptManager();
+            const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+            const graph = ConceptManager.getRelatednessGraph({ dv: source });
+
+            const edges = ConceptManager.parseGraphExport(ConceptManager.serializeGraph(graph, format), format);
+
+            assert.equal(edges.length, graph.edges.length);
+            assert.deepEqual(
+                edges.map(edge => [edgeKey(edge), edge.confidence]),
+                graph.edges.map(edge => [edgeKey(edge), edge.confidence])
+            );
+            assert.deepEqual(ConceptManager.diffGraphEdges(edges, graph.edges), { added: [], removed: [], unchanged: graph.edges.length });
+        });
+    }
+
+    it("writes the export and compares it with the previous one in any format", async () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const first = await ConceptManager.exportConceptGraph({ dv: source, path: "Exports/graph.json" });
+        const written = JSON.parse(await source.io.load("Exports/graph.json"));
+        const second = await ConceptManager.exportConceptGraph({ dv: source, path: "Exports/graph.csv", compareWith: "Exports/graph.json" });
+
+        assert.equal(first.format, "json");
+        assert.equal(first.diff, null);
+        assert.equal(written.edges.length, first.edges.length);
+        assert.equal(second.format, "csv");
+        assert.deepEqual(
+            { added: second.diff.added.length, removed: second.diff.removed.length, unchanged: second.diff.unchanged },
+            { added: 0, removed: 0, unchanged: first.edges.length }
+        );
+    });
+
+    it("reports the relationships that appeared or disappeared", async () => {
+        const ConceptManager = loadConceptManager();
+        const before = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+        await ConceptManager.exportConceptGraph({ dv: before, path: "graph.json" });
+        const previous = await before.io.load("graph.json");
+
+        // Cycles moves to the PKM subject
+        const records = tradingVault().map(record => record.path === "TA/Time/Cycles.md" ?
+            { ...record, frontmatter: { ...record.frontmatter, subject: "PKM", domain: "methods" } } :
+            record);
+        const after = ConceptManager.createMemoryAdapter(records, { current: "TA/RSI.md" });
+        await after.io.write("graph.json", previous);
+
+        const { diff } = await ConceptManager.exportConceptGraph({ dv: after, path: "graph.json", write: false });
+
+        assert.ok(diff.removed.length > 0);
+        assert.ok(diff.removed.every(edge => edge.source === "TA/Time/Cycles.md" || edge.target === "TA/Time/Cycles.md"));
+        assert.ok(diff.added.every(edge => edge.source === "TA/Time/Cycles.md" || edge.target === "TA/Time/Cycles.md"));
+        assert.equal(await after.io.load("graph.json"), previous);
+    });
+});
@@ -0,0 +1,53 @@
+/*
+ * Test helpers: the scripts are plain CustomJS classes without exports, so each test
+ * evaluates the file and gets a fresh instance, with its own caches and schema.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCRIPTS_DIR = path.join(__dirname, "..", "scripts");
+
+/**
+ * Loads a fresh ConceptManager instance, without the startup message
+ * 
+ * @returns {ConceptManager} A new instance
+ */
+function loadConceptManager() {
+    const source = fs.readFileSync(path.join(SCRIPTS_DIR, "ConceptManager.js"), "utf8");
+    const ConceptManager = new Function(`${source}\nreturn ConceptManager;`)();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new ConceptManager();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * A small trading and note-taking vault: two subjects, nested folders, levels, units,
+ * nested tags, links, a hub and an archived page
+ * 
+ * @returns {Array<Object>} Records for createMemoryAdapter()
+ */
+function tradingVault() {
+    return [
+        { path: "TA/Hub TA.md", frontmatter: { type: "hub", subject: "Trading", domain: "finance" } },
+        { 
+            path: "TA/RSI.md", 
+            frontmatter: { type: "concept", subject: "Trading", domain: "finance", level: 2, units: ["U1"], tags: ["trading/technical/rsi"], parent: "[[Hub TA]]" }, 
+            links: ["MACD"] 
+        },
+        { 
+            path: "TA/MACD.md", 
+            frontmatter: { type: "concept", subject: "Trading", domain: "finance", level: 3, units: ["U1"], tags: ["trading/technical/macd"], parent: "[[Hub TA]]" } 
+        },
+        { path: "TA/Time/Cycles.md", frontmatter: { type: "concept", subject: "Trading", domain: "finance", level: 5, units: ["U2"] } },
+        { path: "TA-old/Stoch.md", frontmatter: { type: "concept", subject: "Trading", domain: "finance", level: 2, units: ["U1"], status: "archived" } },
+        { path: "PKM/Zettel.md", frontmatter: { type: "concept", subject: "PKM", domain: "methods", level: 1 }, links: ["Hub PKM"] },
+        { path: "PKM/Hub PKM.md", frontmatter: { type: "hub", subject: "PKM", domain: "methods" } }
+    ];
+}
+
+module.exports = { loadConceptManager, tradingVault };
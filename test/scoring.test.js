@@ -0,0 +1,319 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConceptManager, tradingVault } = require("./helpers.js");
+
+const paths = results => results.map(r => r.concept.file.path);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+const confidences = results => Object.fromEntries(results.map(r => [r.concept.file.path, Number(r.confidence.toFixed(1))]));
+
+describe("scoreConcepts() ranking and confidence", () => {
+    it("ranks pages by points over the maximum possible score", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({ source });
+
+        // Default criteria: must subject and domain, should type; path 2 points, 1.5 per field
+        assert.deepEqual(paths(results), ["TA/MACD.md", "TA/Time/Cycles.md", "TA/Hub TA.md", "TA-old/Stoch.md"]);
+        assert.deepEqual(confidences(results), {
+            "TA/MACD.md": 100,
+            "TA/Time/Cycles.md": 84.6,
+            "TA/Hub TA.md": 76.9,
+            "TA-old/Stoch.md": 69.2
+        });
+        assert.equal(results[0].totalScore, 6.5);
+        assert.equal(results[0].maxScore, 6.5);
+        assert.deepEqual(results[1].scores, { path: 1, subject: 1.5, domain: 1.5, type: 1.5 });
+    });
+
+    it("never returns the current page or the schema note", () => {
+        const ConceptManager = loadConceptManager();
+        const records = tradingVault();
+        records.push({ path: "ConceptManager Schema.md", frontmatter: { subject: "Trading", domain: "finance", type: "concept" } });
+        const source = ConceptManager.createMemoryAdapter(records, { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({ source, minScore: 0 });
+
+        assert.ok(!paths(results).includes("TA/RSI.md"));
+        assert.ok(!paths(results).includes("ConceptManager Schema.md"));
+    });
+
+    it("applies minScore and maxResults", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        assert.deepEqual(paths(ConceptManager.scoreConcepts({ source, minScore: 0.8 })), ["TA/MACD.md", "TA/Time/Cycles.md"]);
+        assert.deepEqual(paths(ConceptManager.scoreConcepts({ source, maxResults: 1, strictMaxResults: true })), ["TA/MACD.md"]);
+    });
+});
+
+describe("must, should and mustNot", () => {
+    it("requires must fields, scores should fields and drops mustNot matches", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: { must: { subject: true }, should: { units: true }, mustNot: { status: "archived" } },
+            minScore: 0
+        });
+
+        assert.deepEqual(paths(results), ["TA/MACD.md", "TA/Hub TA.md", "TA/Time/Cycles.md"]);
+        assert.deepEqual(results[0].scores, { path: 2, subject: 1.5, units: 1.5 });
+    });
+
+    it("checks the existence of a field", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: { must: { subject: true, level: { exists: false } } },
+            minScore: 0
+        });
+
+        assert.deepEqual(paths(results), ["TA/Hub TA.md"]);
+    });
+
+    it("scores every clause of a field found in several groups", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: {
+                must: { level: { value: 2, match: "numeric", tolerance: 1 } },
+                should: { level: { value: 3, weight: 2 } }
+            },
+            includePath: false,
+            minScore: 0
+        });
+        const macd = results.find(r => r.concept.file.path === "TA/MACD.md");
+
+        // Must: level 3 is one away from 2 (credit 0.5 × 1.5); should: exact match, weight 2 (1.5 × 2)
+        assert.equal(macd.scores.level, 0.75 + 3);
+        // Without path scoring, the maximum holds no path points
+        assert.equal(macd.maxScore, 1.5 + 3);
+    });
+
+    it("treats flat criteria as should clauses", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({ source, matchCriteria: { units: true }, includePath: false, minScore: 0 });
+
+        assert.deepEqual(paths(results).sort(), ["TA-old/Stoch.md", "TA/MACD.md"]);
+    });
+});
+
+describe("comparators", () => {
+    it("compares numbers, ordinal values, dates and hierarchies", () => {
+        const ConceptManager = loadConceptManager();
+
+        assert.equal(ConceptManager.compareValues("trading", "trading"), 1);
+        assert.equal(ConceptManager.compareValues("trading", "pkm"), 0);
+        near(ConceptManager.compareValues(2, 3, { match: "numeric", tolerance: 2 }), 2 / 3);
+        assert.equal(ConceptManager.compareValues(2, 7, { match: "numeric", tolerance: 2 }), 0);
+        const order = ["beginner", "intermediate", "advanced"];
+        assert.equal(ConceptManager.compareValues("beginner", "intermediate", { match: "ordinal", order }), 0.5);
+        assert.equal(ConceptManager.compareValues("beginner", "advanced", { match: "ordinal", order }), 0);
+        assert.equal(ConceptManager.compareValues("2025-01-01", "2025-01-01", { match: "date" }), 1);
+        assert.ok(ConceptManager.compareValues("2025-01-01", "2025-01-16", { match: "date" }) > 0.5);
+        near(ConceptManager.compareValues("trading/technical/rsi", "trading/technical/macd", { match: "hierarchical" }), 2 / 3);
+        assert.equal(ConceptManager.compareValues("#trading/technical", "trading/technical/rsi", { match: "hierarchical" }), 1);
+        near(ConceptManager.compareValues(1, 2, { match: (a, b) => (a + b) / 10 }), 0.3);
+    });
+
+    it("scores partial matches by their credit", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const byLevel = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: { level: { value: true, match: "numeric", tolerance: 2 } },
+            includePath: false,
+            minScore: 0
+        });
+        const byTags = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: { tags: { value: true, match: "hierarchical" } },
+            includePath: false,
+            minScore: 0
+        });
+
+        assert.deepEqual(byLevel.map(r => [r.concept.file.path, r.scores.level]), [
+            ["TA-old/Stoch.md", 1.5],
+            ["TA/MACD.md", 1],
+            ["PKM/Zettel.md", 1]
+        ]);
+        assert.deepEqual(byTags.map(r => [r.concept.file.path, r.scores.tags]), [["TA/MACD.md", 1]]);
+    });
+});
+
+describe("value normalization", () => {
+    const vault = () => [
+        { path: "Topics/Machine Learning.md", frontmatter: { type: "topic", aliases: ["Statistical Learning"] } },
+        { path: "Notes/Current.md", frontmatter: { subject: "[[Machine Learning]]" } },
+        { path: "Notes/Same Case.md", frontmatter: { subject: " machine   LEARNING " } },
+        { path: "Notes/Alias.md", frontmatter: { subject: "Statistical Learning" } },
+        { path: "Notes/Synonym.md", frontmatter: { subject: "ML" } },
+        { path: "Notes/Other.md", frontmatter: { subject: "Cooking" } },
+        { path: "ConceptManager Schema.md", frontmatter: { synonyms: { ML: "Machine Learning" } } }
+    ];
+
+    it("matches links, case and spacing variants, aliases and synonyms", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(vault(), { current: "Notes/Current.md" });
+
+        const results = ConceptManager.scoreConcepts({ source, matchCriteria: { subject: true }, includePath: false, minScore: 0 });
+
+        assert.deepEqual(paths(results).sort(), ["Notes/Alias.md", "Notes/Same Case.md", "Notes/Synonym.md"]);
+        assert.equal(ConceptManager.normalizeFieldValue("[[Machine Learning]]", "Notes/Current.md"), "Topics/Machine Learning.md");
+    });
+
+    it("keeps dotted note names as names when resolving links", () => {
+        const ConceptManager = loadConceptManager();
+
+        assert.equal(ConceptManager.resolveLinkPath("[[Version 2.0]]"), "Version 2.0.md");
+        assert.equal(ConceptManager.resolveLinkPath("[[Node.js]]"), "Node.js.md");
+        assert.equal(ConceptManager.resolveLinkPath("[[TA/RSI.md]]"), "TA/RSI.md");
+        assert.equal(ConceptManager.resolveLinkPath("[[Board.canvas|board]]"), "Board.canvas");
+    });
+});
+
+describe("exclusions and diversity", () => {
+    it("leaves out excluded folders, values and linked pages", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const all = paths(ConceptManager.scoreConcepts({ source }));
+        const byFolder = paths(ConceptManager.scoreConcepts({ source, exclude: { folders: ["TA-old/**"] } }));
+        const byValue = paths(ConceptManager.scoreConcepts({ source, exclude: { values: { status: "archived" } } }));
+        const linked = paths(ConceptManager.scoreConcepts({ source, exclude: { linked: true } }));
+
+        assert.ok(all.includes("TA-old/Stoch.md"));
+        assert.deepEqual(byFolder, all.filter(path => path !== "TA-old/Stoch.md"));
+        assert.deepEqual(byValue, all.filter(path => path !== "TA-old/Stoch.md"));
+        assert.deepEqual(linked, all.filter(path => path !== "TA/MACD.md"));
+    });
+
+    it("trades confidence for variety and stops at maxResults", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const ranked = paths(ConceptManager.scoreConcepts({ source, maxResults: 3 }));
+        const diversified = paths(ConceptManager.scoreConcepts({ source, maxResults: 3, diversity: 0.9 }));
+
+        assert.deepEqual(ranked, ["TA/MACD.md", "TA/Time/Cycles.md", "TA/Hub TA.md"]);
+        // The page from another folder moves up, the second page of the same folder drops out
+        assert.deepEqual(diversified, ["TA/MACD.md", "TA-old/Stoch.md", "TA/Time/Cycles.md"]);
+    });
+
+    it("only considers the most confident candidates", () => {
+        const ConceptManager = loadConceptManager();
+        const result = (path, confidence) => ({ concept: { file: { path } }, confidence, matches: {} });
+        const results = [
+            result("A/1.md", 90),
+            result("A/2.md", 89),
+            result("A/3.md", 88),
+            result("B/1.md", 10)
+        ];
+
+        const picked = ConceptManager.diversifyResults(results, 1, { maxResults: 2, poolFactor: 1 });
+
+        // B/1 would be the most diverse pick, but it is outside the pool of 2 × 1 candidates
+        assert.deepEqual(picked.map(r => r.concept.file.path), ["A/1.md", "A/2.md"]);
+        assert.deepEqual(
+            ConceptManager.diversifyResults(results, 1, { maxResults: 2 }).map(r => r.concept.file.path),
+            ["A/1.md", "B/1.md"]
+        );
+    });
+
+    it("compares each pick with a pool of the most confident candidates only", () => {
+        const ConceptManager = loadConceptManager();
+        const records = Array.from({ length: 200 }, (_, i) => ({
+            path: `F${i % 10}/S${i % 3}/N${i}.md`,
+            frontmatter: { subject: "Trading", units: [`U${i % 7}`], level: i % 5 }
+        }));
+        records.push({ path: "F0/Current.md", frontmatter: { subject: "Trading", units: ["U1", "U2"], level: 2 } });
+        const source = ConceptManager.createMemoryAdapter(records, { current: "F0/Current.md" });
+        const candidates = ConceptManager.scoreConcepts({
+            source,
+            matchCriteria: { subject: true, units: true, level: true },
+            maxResults: 200,
+            minScore: 0
+        });
+
+        // Every similarity between two results measures their folder distance once
+        let comparisons = 0;
+        const getFolderDistance = ConceptManager.getFolderDistance.bind(ConceptManager);
+        ConceptManager.getFolderDistance = (a, b) => {
+            comparisons++;
+            return getFolderDistance(a, b);
+        };
+        const picked = ConceptManager.diversifyResults(candidates, 0.3, { maxResults: 10 });
+
+        assert.equal(candidates.length, 200);
+        assert.equal(picked.length, 10);
+        // A pool of 3 × 10 candidates: each pick is compared with the 29, 28, ... 20 left in it
+        assert.equal(comparisons, 29 + 28 + 27 + 26 + 25 + 24 + 23 + 22 + 21 + 20);
+    });
+});
+
+describe("debug output", () => {
+    it("returns the steps of a trace sink with the results", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+
+        const results = ConceptManager.scoreConcepts({ source, debug: { level: "trace", sink: "trace" } });
+        const plain = ConceptManager.scoreConcepts({ source });
+
+        assert.deepEqual(paths(results), paths(plain));
+        assert.equal(results.trace.level, "trace");
+        assert.ok(results.trace.steps.length > 0);
+        assert.equal(plain.trace, undefined);
+    });
+
+    it("leaves the trace of a caller's logger with the logger", () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+        const logger = ConceptManager.createLogger({ level: "info", sink: "trace" });
+
+        const results = ConceptManager.scoreConcepts({ source, debug: logger });
+
+        assert.equal(results.trace, undefined);
+        assert.ok(logger.getTrace().steps.length > 0);
+    });
+});
+
+describe("JSON schema", () => {
+    it("waits for the schema before scoring", async () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+        await source.io.write("schema.json", JSON.stringify({ defaultCriteria: { must: { units: true } } }));
+        ConceptManager.setSchemaPath("schema.json");
+
+        const pending = ConceptManager.getRelatedConcepts({ dv: source });
+        assert.equal(typeof pending.then, "function");
+        const results = await pending;
+
+        assert.equal(ConceptManager.getSchema(source).source, "json");
+        // The schema's criteria require a shared unit; the defaults would also find Cycles and the hub
+        assert.deepEqual(paths(results), ["TA/MACD.md"]);
+        assert.deepEqual(paths(ConceptManager.getRelatedConcepts({ dv: source })), paths(results));
+    });
+
+    it("loads the latest path when another load is running", async () => {
+        const ConceptManager = loadConceptManager();
+        const source = ConceptManager.createMemoryAdapter(tradingVault(), { current: "TA/RSI.md" });
+        await source.io.write("a.json", JSON.stringify({ roles: { subject: "topic" } }));
+        await source.io.write("b.json", JSON.stringify({ roles: { subject: "theme" } }));
+
+        const first = ConceptManager.loadSchema({ dv: source, path: "a.json" });
+        const second = ConceptManager.loadSchema({ dv: source, path: "b.json" });
+
+        assert.deepEqual((await Promise.all([first, second])).map(schema => schema.path), ["b.json", "b.json"]);
+        assert.equal(ConceptManager.getSchema(source).path, "b.json");
+        assert.equal(ConceptManager.getRoleField("subject"), "theme");
+    });
+});